@@ -0,0 +1,27 @@
+export default [{
+    "constant": false,
+    "inputs": [{
+      "internalType": "uint256",
+      "name": "btcToMint",
+      "type": "uint256"
+    }],
+    "name": "mintDoc",
+    "outputs": [],
+    "payable": true,
+    "stateMutability": "payable",
+    "type": "function"
+  },
+  {
+    "constant": false,
+    "inputs": [{
+      "internalType": "uint256",
+      "name": "docAmount",
+      "type": "uint256"
+    }],
+    "name": "redeemFreeDoc",
+    "outputs": [],
+    "payable": false,
+    "stateMutability": "nonpayable",
+    "type": "function"
+  }
+];
@@ -4,27 +4,100 @@ export default  {
     serverPort: 3000,
     nodeProvider: 'https://testnet.sovryn.app/rpc',  
     publicNodeProvider: 'https://public-node.testnet.rsk.co', 
+    nodes: ['https://testnet.sovryn.app/rpc', 'https://public-node.testnet.rsk.co'], //rpc nodes (http or ws) by priority, calls are routed to the first healthy one
+    nodeHealthInterval: 30, //sec
+    nodeMaxLag: 5, //max nr of blocks a node may lag behind the highest node to be healthy
+    liquidationQuorum: false, //only liquidate if 2 nodes agree that the position can be liquidated
+    rpcTimeout: 20, //sec, max time for a single rpc call
+    rpcRetries: 3, //retries of rpc calls failing with a transient error (timeout, network, rate limit, vm execution error)
+    rpcBackoff: 1, //sec, delay before the first retry, doubled on every further retry
+    rpcRateLimit: 20, //max rpc calls per second to protect the node
     network: "test",
     db: "watcher_testnet.db",
     nrOfProcessingPositions: 100,
     scannerInterval: 60, //sec
+    scannerMode: "events", //"sweep": re-read all active loans every round, "events": parse loan events after the initial sweep
+    eventScannerInterval: 10, //sec
+    eventScannerBlockRange: 100, //max nr of blocks to read events from per round
+    eventScannerResyncInterval: 3600, //sec, complete sweep to stay in sync
+    eventScannerRiskMargin: 1.1, //positions with margin < maintenance*riskMargin are reloaded every round
     rolloverScanInterval: 60, //sec
     liquidatorScanInterval: 60, //sec
     arbitrageScanInterval: 30, //sec
     enableLiquidator: true,
     enableRollover: true,
     enableArbitrage: true,
-    rolloverMinThreshold: 0.000052*2, //Btc 0,000052 = failing tx cost
+    rolloverMinProfit: 0, //Btc, min expected reward minus tx cost
+    rolloverGas: 400000, //gas used by a rollover, for the reward estimation
+    rolloverWhitelist: [], //loan ids rolled over regardless of the reward
     testTokenRBTC: "0x69FE5cEC81D5eF92600c1A0dB1F11986AB3758Ab", //wrbtc
     loanTokenSUSD: "0x74e00A8CeDdC752074aad367785bFae7034ed89f", //underlying token = doc
     loanTokenRBTC: "0xe67Fe227e0504e8e96A34C3594795756dC26e14B",
     docToken: "0xCB46c0ddc60D18eFEB0E586C17Af6ea36452Dae0", //former susd
+    tokens: { //settings per token symbol (lowercase) of the token registry. minThreshold: min position size for rollover in token units
+        default: { minThreshold: 0 },
+        wrbtc: { minThreshold: 0.00012 },
+        doc: { minThreshold: 2 }
+    },
     sovrynProtocolAdr: "0x25380305f223B32FDB844152abD2E82BC5Ad99c3",
     swapsImpl: "0x61172B53423E205a399640e5283e51FE60EC2256", //get price from amm/old execute swaps
     priceFeed: "0x7f38c422b99075f63C9c919ECD200DF8d2Cf5BD4", //get oracle price
     wRbtcWrapper: "0x55684391E3d0Cf69f41c40ddF736BD1C6D3D538c", //execute swaps new (sending rbtc directly)
-    thresholdArbitrage: 2, //in %
+    minLiquidationProfit: 0.00001, //RBTC, expected liquidation incentive minus gas cost
+    liquidationGas: 600000, //gas used by a liquidation, for the profit estimation
+    wrbtcInventoryPercent: 0, //% of the WRBTC received from liquidations kept as WRBTC, the rest is unwrapped to RBTC
+    //token pairs checked for arbitrage, by symbol of the token registry. threshold: min price difference in %,
+    //probe: reference amount of the base token for the price comparison, tradeSize: min and max size of a trade in units of the sold token
+    arbitragePairs: [
+        { base: "WRBTC", quote: "DOC", enabled: true, threshold: 2, probe: 0.01, tradeSize: { base: { min: 0.001, max: 0.05 }, quote: { min: 10, max: 500 } } }
+    ],
+    arbitrageSizeSteps: 10, //nr of trade sizes between min and max quoted on the amm to find the most profitable one
+    arbitrageGas: 600000,
+    arbitragePaperTrading: false, //simulate the arbitrage trades and store them in the table paperTrade instead of sending them
+    arbitragePaperMarkDelay: 3600, //seconds after which a paper trade is marked to the oracle price
+    arbitrageVenue: "moc", //venue to convert back after an amm arbitrage trade, "" to keep the bought tokens
+    venues: {
+        moc: { address: "", commissionPercent: 0.15, gas: 1000000 } //address of the MoC contract, "" to disable
+    },
+    maxSlippage: { //in %, max deviation of a swap from the oracle price per pair "sourceToken-destToken"
+        default: 2,
+        "0x69fe5cec81d5ef92600c1a0db1f11986ab3758ab-0xcb46c0ddc60d18efeb0e586c17af6ea36452dae0": 1, //wrbtc-doc
+        "0xcb46c0ddc60d18efeb0e586c17af6ea36452dae0-0x69fe5cec81d5ef92600c1a0db1f11986ab3758ab": 1 //doc-wrbtc
+    },
+    swapRetries: 3, //retries of a swap after liquidation if the slippage is too high
+    swapRetryInterval: 30, //sec
+    txBumpTimeout: 600, //sec, resend a pending liquidation/rollover/arbitrage tx with higher gas price after this time
+    txBumpFactor: 1.2, //gas price multiplier per resend
+    txMaxBumps: 3,
+    txWaitTimeout: 3600, //sec, keep waiting for the receipts of all attempts after the last gas bump
+    shutdownTimeout: 60, //sec, max time to wait for pending transactions on shutdown
+    authEnabled: false, //require the credentials of secrets/auth.js (see readme) for the dashboard, rest api, metrics and sockets
+    metricsBalanceInterval: 300, //sec, min time between wallet balance updates of the /metrics endpoint
     errorBotTelegram: telegramBot,
     sovrynInternalTelegramId: -1001308978723,
+    telegramAdmins: [], //telegram user ids allowed to use the bot commands
+    notifications: {
+        channels: { //channels without token/url/recipient are disabled
+            telegram: { type: "telegram", token: telegramBot, chatId: -1001308978723 },
+            webhook: { type: "webhook", url: "" },
+            slack: { type: "slack", url: "" },
+            email: { type: "email", host: "localhost", port: 25, secure: false, user: "", pass: "", from: "watcher@localhost", to: "" }
+        },
+        routes: [ //modules: liquidator, rollover, arbitrage, monitor; severities: info, warning, error; "*" for all
+            { modules: ["*"], severities: ["*"], channels: ["telegram", "webhook"] },
+            { modules: ["*"], severities: ["warning", "error"], channels: ["slack", "email"] }
+        ]
+    },
+    alertInterval: 60, //sec, default interval of the alert rules
+    alertRules: [
+        { name: "liquidatorRbtc", type: "walletBalance", wallets: "liquidator", token: "rBtc", min: 0.001 },
+        { name: "liquidatorDoc", type: "walletBalance", wallets: "liquidator", token: "DOC", min: 100 },
+        { name: "rolloverRbtc", type: "walletBalance", wallets: "rollover", token: "rBtc", min: 0.001 },
+        { name: "arbitrageRbtc", type: "walletBalance", wallets: "arbitrage", token: "rBtc", min: 0.001 },
+        { name: "blockLag", type: "blockLag", max: 5, interval: 120 },
+        { name: "scannerAge", type: "scannerAge", max: 600 },
+        { name: "liquidationQueue", type: "liquidationQueue", max: 10, interval: 300 },
+        { name: "failedTx", type: "failedTxRate", max: 50, window: 3600, minTx: 4, interval: 300 }
+    ],
     healthMonitorPort: 3 //results in 3003
 }
\ No newline at end of file
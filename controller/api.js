@@ -0,0 +1,105 @@
+/**
+ * Versioned REST api, mounted on /api/v1 of the express app
+ *
+ * GET /positions?borrower=&loanToken=&minMargin=&maxMargin=&page=&limit=  open positions (margin in %)
+ * GET /liquidations?borrower=&loanToken=&minMargin=&maxMargin=&page=&limit=  positions waiting for liquidation
+ * GET /loans/:loanId  current state of a loan from the contract
+ * GET /history/:type?from=&to=&page=&limit=  liquidator, rollover, arbitrage, arbitrageCycle or paperTrade rows of the db.
+ *     from/to: ISO date or unix timestamp in ms
+ *
+ * Lists are returned as {total, page, limit, positions|rows}, errors as {error}
+ */
+const express = require('express');
+import C from './contract';
+import Monitor from './monitor';
+import dbCtrl from './db';
+
+const historyTypes = ["liquidator", "rollover", "arbitrage", "arbitrageCycle", "paperTrade"];
+const defaultPageSize = 50;
+const maxPageSize = 500;
+
+class ApiController {
+    start(positions, liquidations) {
+        this.positions = positions;
+        this.liquidations = liquidations;
+    }
+
+    router() {
+        const r = express.Router();
+        r.get('/positions', (req, res) => this.handle(res, () => this.getPositions(this.positions, req.query)));
+        r.get('/liquidations', (req, res) => this.handle(res, () => this.getPositions(this.liquidations, req.query)));
+        r.get('/loans/:loanId', (req, res) => this.handle(res, () => this.getLoan(req.params.loanId)));
+        r.get('/history/:type', (req, res) => this.handle(res, () => this.getHistory(req.params.type, req.query)));
+        r.use((req, res) => res.status(404).json({ error: "Unknown endpoint" }));
+        return r;
+    }
+
+    /**
+     * Sends the result of fn as json. fn returns {status, body}
+     */
+    async handle(res, fn) {
+        try {
+            const { status, body } = await fn();
+            res.status(status).json(body);
+        }
+        catch (e) {
+            console.error("Api error");
+            console.error(e);
+            res.status(500).json({ error: "Internal error" });
+        }
+    }
+
+    async getPositions(list, query) {
+        if (!list) return { status: 503, body: { error: "Watcher is starting" } };
+        const invalid = ["minMargin", "maxMargin"].find(k => query[k] != null && isNaN(parseFloat(query[k])));
+        if (invalid) return { status: 400, body: { error: "Invalid " + invalid } };
+        if (query.borrower && !C.web3.utils.isAddress(query.borrower)) return { status: 400, body: { error: "Invalid borrower" } };
+
+        return { status: 200, body: await Monitor.queryPositions(list, query) };
+    }
+
+    /**
+     * Reads the loan from the contract and flags whether it is open and waiting for liquidation
+     */
+    async getLoan(loanId) {
+        if (!/^0x[0-9a-fA-F]{64}$/.test(loanId)) return { status: 400, body: { error: "Invalid loanId" } };
+
+        const loan = await C.getPositionStatus(loanId);
+        if (!loan || !loan.loanId || loan.loanId == "0x" + "0".repeat(64)) return { status: 404, body: { error: "Loan not found" } };
+
+        return {
+            status: 200,
+            body: {
+                loan,
+                open: !!(this.positions && this.positions[loan.loanId]),
+                inLiquidationQueue: !!(this.liquidations && this.liquidations[loan.loanId])
+            }
+        };
+    }
+
+    async getHistory(type, query) {
+        if (historyTypes.indexOf(type) == -1) return { status: 404, body: { error: "Unknown history " + type } };
+
+        const from = this.parseDate(query.from);
+        const to = this.parseDate(query.to);
+        if (from === false || to === false) return { status: 400, body: { error: "Invalid date range" } };
+
+        const page = Math.max(1, parseInt(query.page) || 1);
+        const limit = Math.min(maxPageSize, Math.max(1, parseInt(query.limit) || defaultPageSize));
+        const res = await dbCtrl.queryHistory(type, from, to, limit, (page - 1) * limit);
+        if (!res) return { status: 500, body: { error: "Error reading the history" } };
+
+        return { status: 200, body: { total: res.total, page, limit, rows: res.rows } };
+    }
+
+    /**
+     * Returns a Date, null if not set or false if invalid
+     */
+    parseDate(v) {
+        if (v == null || v === "") return null;
+        const d = /^\d+$/.test(v) ? new Date(parseInt(v)) : new Date(v);
+        return isNaN(d.getTime()) ? false : d;
+    }
+}
+
+export default new ApiController();
@@ -1,113 +1,296 @@
 /**
- * The arbitrage controller tries to capitalize on changes in market price between Doc and RBtc on the Sovryn amm.
+ * The arbitrage controller tries to capitalize on changes in market price between the token pairs of conf.arbitragePairs on the Sovryn amm.
  * 
- * First step is to define the amount for which we seek arbitrage. Currently hardcoded at 105$, the maximum trading amount.
- * Then, start an endless loop:
- * 1. Get the price from the amm. This returns the expected return form the Sovryn network.
+ * Prices are compared for a small reference amount of the base token (pair.probe). Endless loop:
+ * 1. Get the price of every enabled pair from the amm. This returns the expected return form the Sovryn network.
  * 2. Get the price from the price feed contract. This returns the oracle price.
- * 3. Compare the prices. If the difference is >= threshold then sell arbitrage amount of liquidity of the respective currency to the amm,
- * Inform the telegram group about a successful arbitrage trade and save statistic in db
+ * 3. Compare the prices. If the difference is >= the threshold of the pair then find the trade size with the highest expected profit along the
+ * amm curve (see findTradeSize). Sell this amount of the respective token to the amm on the pair with the highest expected profit.
+ * Inform the notification channels about a successful arbitrage trade and save statistic in db
+ * 4. Exchange the bought tokens back on the external venue (conf.arbitrageVenue, eg. Money on Chain) to restore the inventory and
+ * save both legs as one arbitrage cycle with the combined profit in db
  * 
- * The swap network contract (conf.swapsImpl) need to be approved by the arbitrage wallet to spend Doc on his behalf
- * 
- * Todo2: Update amount calculation after the trading limits were released/updated.
+ * In paper trading mode (conf.arbitragePaperTrading) steps 1-3 are executed without sending the trade. The simulated trade is stored in the
+ * table "paperTrade" and marked to the oracle price conf.arbitragePaperMarkDelay seconds later (see markPaperTrades)
+ *
+ * The swap network contract (conf.swapsImpl) need to be approved by the arbitrage wallet to spend the pair tokens on his behalf (util/approval.js)
  */
 
-const Telegram = require('telegraf/telegram');
 import C from './contract';
 import U from '../util/helper';
+import TxTracker from './txTracker';
+import Swap from './swap';
+import TokenRegistry from './tokenRegistry';
+import Notifier from './notifier';
+import Lifecycle from './lifecycle';
+import Metrics from './metrics';
+import Rpc from './rpc';
 import A from '../secrets/accounts';
 import conf from '../config/config';
 import abiDecoder from 'abi-decoder';
 import abiSwap from "../config/abiSovrynSwapNetwork";
 import db from "./db";
+import MocVenue from './venues/moc';
+
+//venues for the second leg of an arbitrage cycle by name, see venues/moc for the interface
+const venues = {
+    moc: MocVenue
+};
 
 
-class Arbitrage {
+class Arbitrage extends Lifecycle {
     constructor() {
-        this.telegramBotWatcher = new Telegram(conf.errorBotWatcherTelegramToken);
-        this.amount = 0.010; //105$; see comment on top
+        super("arbitrage");
         abiDecoder.addABI(abiSwap);
+
+        const Venue = venues[conf.arbitrageVenue];
+        const venue = Venue && new Venue(conf.venues[conf.arbitrageVenue]);
+        this.venue = venue && venue.isEnabled() ? venue : null;
     }
 
     /**
      * Wrapper checking arbitrage opportunities
-     * 1. Compare RBtc prices from Amm with the oracle
-     * 2. If arbitrage opportunity is found: buy the tokens which are too many:
-     * Doc if price(Amm) < price(PriceFeed), RBtc otherwise
+     * 1. Compare the prices of every enabled pair from Amm with the oracle
+     * 2. If arbitrage opportunities are found: buy the tokens which are too many on the pair with the highest expected profit:
+     * the base token if price(Amm) < price(PriceFeed), the quote token otherwise
      */
-    async start() {
-        while (true) {
-            console.log("started checking prices");
+    run() {
+        return this.checkArbitrage();
+    }
 
-            let res, arb, profit;
-            let p = await this.getRBtcPrices();
-            if(p[0]>0 && p[1]>0) arb = this.calcArbitrage(p[0], p[1], conf.thresholdArbitrage);
-            if (arb && (arb == p[0])) {
-                let convertedAmount = C.web3.utils.toWei(p[0].toString(), "Ether");
-                res = await this.sendLiquidity(convertedAmount, "Doc");
+    /**
+     * Loop checking arbitrage opportunities, see comment on top
+     */
+    async checkArbitrage() {
+        while (!this.isStopped()) {
+            if (this.isPaused()) {
+                await U.wasteTime(conf.arbitrageScanInterval);
+                continue;
             }
-            else if (arb && (arb == p[1])) {
-                res = await this.sendLiquidity(C.web3.utils.toWei(this.amount.toString()), "Rbtc");
+            console.log("started checking prices");
+
+            const best = await this.findBestOpportunity();
+            let res;
+            if (best && conf.arbitragePaperTrading) await this.paperTrade(best);
+            else if (best) res = await this.sendLiquidity(best.sellToken, best.buyToken, best.amount);
+            if (res) {
+                const leg = await this.calculateProfit(res.transactionHash, best.pfRate);
+                //pairs the venue does not trade keep the bought tokens
+                if (leg && this.venue && this.venue.supports(leg.tokenBought, leg.tokenSold)) await this.closeCycle(leg, res.transactionHash);
             }
 
-            if(res) profit = await this.calculateProfit(res);
+            if (conf.arbitragePaperTrading) await this.markPaperTrades();
 
             console.log("Completed checking prices at ");
             await U.wasteTime(conf.arbitrageScanInterval);
         }
     }
 
+    /**
+     * Checks all enabled pairs of conf.arbitragePairs and returns the opportunity with the highest expected profit in RBtc or false
+     */
+    async findBestOpportunity() {
+        const round = await this.getRoundInfo();
+        let best = false;
+        for (let pair of conf.arbitragePairs) {
+            if (!pair.enabled) continue;
+            const o = await this.checkPair(pair, round);
+            if (o && (!best || o.profitRbtc > best.profitRbtc)) best = o;
+        }
+        if (best) console.log("Best arbitrage opportunity: " + best.pair + ", expected profit " + best.profitRbtc + " RBtc");
+        return best;
+    }
+
+    /**
+     * Compares the amm and price feed prices of pair.probe base tokens. If they differ by at least pair.threshold %,
+     * finds the most profitable size for selling the token which is too expensive on the amm
+     * The prices are stored in the db for backtesting (see recordPrice)
+     * Returns {pair, sellToken, buyToken, amount, amountOut, gasCost, profit, profitRbtc, pfRate} or false
+     * amount in wei of the sold token, amountOut (amm quote), gasCost and profit in units of the bought token, pfRate in bought per sold token
+     */
+    async checkPair(pair, round) {
+        const name = pair.base + "/" + pair.quote;
+        const base = TokenRegistry.getBySymbol(pair.base);
+        const quote = TokenRegistry.getBySymbol(pair.quote);
+        if (!base || !quote) {
+            console.error("Arbitrage pair " + name + " is not in the token registry");
+            return false;
+        }
+
+        const p = await this.getPrices(base.address, quote.address, pair.probe);
+        console.log(name + " price amm: " + p[0] + ", pricefeed: " + p[1]);
+        if (!(p[0] > 0 && p[1] > 0)) return false;
+        await this.recordPrice(name, base.address, quote.address, pair.probe, p, round);
+        const arb = this.calcArbitrage(p[0], p[1], pair.threshold);
+        if (!arb) return false;
+
+        //amm returns less quote tokens than the oracle -> sell quote tokens, otherwise sell base tokens
+        const sellBase = arb != p[0];
+        const baseRate = p[1] / pair.probe;
+        const sell = sellBase ? base : quote;
+        const buy = sellBase ? quote : base;
+        const pfRate = sellBase ? baseRate : 1 / baseRate;
+
+        const trade = await this.findTradeSize(sell.address, buy.address, sellBase ? pair.tradeSize.base : pair.tradeSize.quote, pfRate);
+        if (!trade) return false;
+
+        const profitRbtc = await this.toRbtc(trade.profit, buy.address);
+        return {
+            pair: name, sellToken: sell.address, buyToken: buy.address,
+            amount: trade.amount, amountOut: trade.quote, gasCost: trade.gasCost,
+            profit: trade.profit, profitRbtc, pfRate
+        };
+    }
+
+    /**
+     * Returns {blockNr, gasPrice} of the current round, stored with the price samples. Values are null if not available
+     */
+    async getRoundInfo() {
+        const read = (fn, label) => Rpc.execute(fn, label).catch(e => {
+            console.error(e.message);
+            return null;
+        });
+        return {
+            blockNr: await read(() => C.web3.eth.getBlockNumber(), "getBlockNumber"),
+            gasPrice: await read(() => C.web3.eth.getGasPrice(), "getGasPrice")
+        };
+    }
+
+    /**
+     * Stores the amm and price feed price of amount base tokens (p, in quote tokens) as rates per base token
+     * together with the RBtc rate of the quote token, needed to value the gas cost in a backtest
+     */
+    async recordPrice(pair, base, quote, amount, p, round = {}) {
+        const oracleRate = p[1] / amount;
+        let rbtcRate;
+        if (TokenRegistry.isWrbtc(quote)) rbtcRate = 1;
+        else if (TokenRegistry.isWrbtc(base)) rbtcRate = oracleRate;
+        else rbtcRate = await this.fromRbtc(1, quote);
+
+        await db.addPrice({
+            blockNr: round.blockNr,
+            pair,
+            amount,
+            ammRate: p[0] / amount,
+            oracleRate,
+            gasPrice: round.gasPrice,
+            rbtcRate
+        });
+    }
+
     /**
      * If price difference between p1 and p2 >= threshold return Min(p1,p2)
-     * else return 0
+     * else return undefined
+     * The calculation is shared with the backtester, see util/helper
      */
     calcArbitrage(p1, p2, threshold) {
-        const smallerAmount = Math.min(p1, p2);
-        const arbitrage = Math.abs(p1 - p2) / smallerAmount * 100;
-        if (arbitrage >= threshold) {
-            console.log("Arbitrage (%): "+arbitrage);
-            if(smallerAmount==p1) console.log("Buy doc!")
-            else console.log("Buy RBtc");
-
-            return smallerAmount;
+        return U.calcArbitrage(p1, p2, threshold);
+    }
+
+    /**
+     * Finds the trade size with the highest expected profit for selling sellToken to the amm
+     * Steps through conf.arbitrageSizeSteps amounts between limits.min and limits.max (in units of the sold token),
+     * capped by the inventory of the arbitrage wallet (except in paper trading mode). The profit of an amount is the amm quote, which includes the conversion fees,
+     * minus the value of the amount at the price feed rate and the gas cost.
+     * @param pfRate price feed rate in bought tokens per sold token
+     * Returns {amount, quote, gasCost, profit} with the amount in wei and quote, gas cost and profit in units of the bought token or false if no size is profitable
+     */
+    async findTradeSize(sellToken, buyToken, limits, pfRate) {
+        const wallet = A.arbitrage[0].adr;
+        const sellSymbol = TokenRegistry.get(sellToken).symbol;
+
+        try {
+            const gasPrice = await Rpc.execute(() => C.web3.eth.getGasPrice(), "getGasPrice");
+            const gasCostRbtc = parseFloat(C.web3.utils.fromWei(C.web3.utils.toBN(gasPrice).muln(conf.arbitrageGas), "Ether"));
+            const gasCost = await this.fromRbtc(gasCostRbtc, buyToken);
+
+            //RBtc is sent as value and is also needed for the gas. Paper trades are not limited by the inventory
+            const inventory = conf.arbitragePaperTrading ? limits.max : TokenRegistry.isWrbtc(sellToken) ?
+                parseFloat(await C.getWalletBalance(wallet)) - gasCostRbtc :
+                TokenRegistry.fromUnits(await C.getWalletTokenBalance(wallet, sellToken), sellToken);
+            const max = Math.min(limits.max, inventory);
+            if (max < limits.min) {
+                console.log("Not enough " + sellSymbol + " for arbitrage. Available: " + inventory + ", min trade size: " + limits.min);
+                return false;
+            }
+
+            const path = await C.call(C.contractSwaps.methods["conversionPath"](sellToken, buyToken), "conversionPath");
+            let best = false;
+            for (let size of this.getTradeSizes(limits.min, max, conf.arbitrageSizeSteps)) {
+                const amount = TokenRegistry.toUnits(size, sellToken);
+                const quote = TokenRegistry.fromUnits(await C.call(C.contractSwaps.methods["rateByPath"](path, amount), "rateByPath"), buyToken);
+                const profit = quote - size * pfRate - gasCost;
+                console.log("Selling " + size + " " + sellSymbol + ": expected profit " + profit);
+                if (!best || profit > best.profit) best = { amount, quote, gasCost, profit };
+            }
+
+            if (!best || best.profit <= 0) {
+                console.log("No profitable trade size for selling " + sellSymbol + " to the amm");
+                return false;
+            }
+            console.log("Best trade size: " + TokenRegistry.fromUnits(best.amount, sellToken) + " " + sellSymbol + ", expected profit: " + best.profit);
+            return best;
+        }
+        catch (e) {
+            console.error("Error finding the arbitrage trade size for " + sellSymbol);
+            console.error(e.message);
+            return false;
         }
-        console.log(arbitrage+ " % price difference is too small for arbitrage");
-        return;
     }
 
-    async getRBtcPrices() {
-        const amount = C.web3.utils.toWei(this.amount.toString(), "Ether");
-        let rBtcPriceAmm = await this.getPriceFromAmm(C.contractSwaps, conf.testTokenRBTC, conf.docToken, amount);
-        rBtcPriceAmm = C.web3.utils.fromWei(rBtcPriceAmm.toString(), "Ether");
-        let rBtcPricePf = await this.getPriceFromPriceFeed(C.contractPriceFeed, conf.testTokenRBTC, conf.docToken, amount);
-        rBtcPricePf = C.web3.utils.fromWei(rBtcPricePf.toString(), "Ether");
-        console.log("RBtc Price amm: "+rBtcPriceAmm+", pricefeed: " + rBtcPricePf);
-        return [rBtcPriceAmm, rBtcPricePf];
+    /**
+     * Returns steps amounts from min to max, growing by a constant factor, so small sizes are sampled more densely
+     */
+    getTradeSizes(min, max, steps) {
+        if (steps < 2 || max <= min) return [max];
+        const factor = Math.pow(max / min, 1 / (steps - 1));
+        const sizes = [];
+        for (let i = 0; i < steps - 1; i++) sizes.push(min * Math.pow(factor, i));
+        sizes.push(max);
+        return sizes;
+    }
+
+    /**
+     * Returns [amm price, price feed price] of amount base tokens in units of the quote token
+     */
+    async getPrices(base, quote, amount) {
+        const units = TokenRegistry.toUnits(amount, base);
+        const priceAmm = TokenRegistry.fromUnits(await this.getPriceFromAmm(C.contractSwaps, base, quote, units), quote);
+        const pricePf = TokenRegistry.fromUnits(await this.getPriceFromPriceFeed(C.contractPriceFeed, base, quote, units), quote);
+        return [priceAmm, pricePf];
+    }
+
+    /**
+     * Converts an amount of token to RBtc at the price feed rate
+     */
+    async toRbtc(amount, token) {
+        if (TokenRegistry.isWrbtc(token)) return amount;
+        const rate = await this.getPriceFromPriceFeed(C.contractPriceFeed, token, conf.testTokenRBTC, TokenRegistry.toUnits(1, token));
+        return amount * TokenRegistry.fromUnits(rate, conf.testTokenRBTC);
+    }
+
+    /**
+     * Converts an amount of RBtc to token at the price feed rate
+     */
+    async fromRbtc(amount, token) {
+        if (TokenRegistry.isWrbtc(token)) return amount;
+        const rate = await this.getPriceFromPriceFeed(C.contractPriceFeed, conf.testTokenRBTC, token, TokenRegistry.toUnits(1, conf.testTokenRBTC));
+        return amount * TokenRegistry.fromUnits(rate, token);
     }
 
     /**
     * Amount is based in sourceToken
     * Returns price in wei
     */
-    getPriceFromPriceFeed(contract, sourceToken, destToken, amount) {
-        return new Promise(async (resolve) => {
-            try {
-                contract.methods["queryReturn"](sourceToken, destToken, amount).call((error, result) => {
-                    if (error) {
-                        console.error("error loading price from " + contract._address + " for src " + sourceToken + ", dest " + destToken + " and amount: " + amount);
-                        console.error(error);
-                        return resolve(0);
-                    }
-                    resolve(result);
-                });
-            }
-            catch (e) {
-                console.error("error loading price from " + contract._address + " for src " + sourceToken + ", dest " + destToken + " and amount: " + amount);
-                console.error(e);
-                resolve(0)
-            }
-        });
+    async getPriceFromPriceFeed(contract, sourceToken, destToken, amount) {
+        try {
+            return await C.call(contract.methods["queryReturn"](sourceToken, destToken, amount), "queryReturn");
+        }
+        catch (e) {
+            console.error("error loading price from " + contract._address + " for src " + sourceToken + ", dest " + destToken + " and amount: " + amount);
+            console.error(e.message);
+            return 0;
+        }
     }
 
     /**
@@ -117,122 +300,160 @@ class Arbitrage {
      * 2. Call rateByPath assigning the conversion path and amount to get the actual price
      * Returns price in wei
      */
-    getPriceFromAmm(contract, sourceToken, destToken, amount) {
-        return new Promise(async (resolve) => {
-            try {
-                contract.methods["conversionPath"](sourceToken, destToken).call((error, result) => {
-                    if (error) {
-                        console.error("error loading conversion path from " + contract._address + " for src " + sourceToken + ", dest " + destToken + " and amount: " + amount);
-                        console.error(error);
-                        return resolve(0);
-                    }
-
-                    contract.methods["rateByPath"](result, amount).call((err, res) => {
-                        if (err) {
-                            console.error("error loading conversion path from " + contract._address + " for src " + sourceToken + ", dest " + destToken + " and amount: " + amount);
-                            console.error(err);
-                            return resolve(0);
-                        }
-                        resolve(res);
-                    });
-                });
-            }
-            catch (e) {
-                console.error("error loading price from " + contract._address + " for src " + sourceToken + ", dest " + destToken + " and amount: " + amount);
-                console.error(e);
-                resolve(0)
-            }
-        });
+    async getPriceFromAmm(contract, sourceToken, destToken, amount) {
+        try {
+            const path = await C.call(contract.methods["conversionPath"](sourceToken, destToken), "conversionPath");
+            return await C.call(contract.methods["rateByPath"](path, amount), "rateByPath");
+        }
+        catch (e) {
+            console.error("error loading price from " + contract._address + " for src " + sourceToken + ", dest " + destToken + " and amount: " + amount);
+            console.error(e.message);
+            return 0;
+        }
     }
 
 
     /**
-     * Sending Doc or RBtc to the Amm
-     * Amount in wei
-     * todo: convert minReturn with web3-big-number lib
+     * Sells amount (wei) of sourceToken for destToken on the Amm
+     * Trades from or to RBtc go through the RBtc wrapper proxy, which wraps the sent RBtc and unwraps the received WRBTC,
+     * token to token trades go directly to the swap network.
+     * The min return is derived from the oracle price and the max slippage of the token pair
      */
-    sendLiquidity(amount, currency) {
-        console.log("Send " + amount + " "+currency+" to the amm");
-        const sourceToken = currency=="Doc"?conf.docToken:conf.testTokenRBTC;
-        const destToken = currency=="Doc"?conf.testTokenRBTC:conf.docToken;
-        const contract1 = C.contractSwaps;
-        const contract2 = C.wRbtcWrapper;
-        const minReturn = 1; //amount / 100 * 99; //minReturn = 1 -> No assurance
+    async sendLiquidity(sourceToken, destToken, amount) {
+        const symbol = TokenRegistry.get(sourceToken).symbol;
+        console.log("Send " + amount + " " + symbol + " to the amm");
+        const viaWrapper = TokenRegistry.isWrbtc(sourceToken) || TokenRegistry.isWrbtc(destToken);
         const beneficiary = A.arbitrage[0].adr;
         const affiliateAcc = "0x0000000000000000000000000000000000000000";
         const affiliateFee = 0;
-        const val = currency=="Doc"? 0:amount;
+        const val = TokenRegistry.isWrbtc(sourceToken) ? amount : 0;
 
-        return new Promise(async (resolve) => {
+        try {
+            const path = await C.call(C.contractSwaps.methods["conversionPath"](sourceToken, destToken), "conversionPath");
+            if (!path || path.length < 3) {
+                console.error("no conversion path for src " + sourceToken + ", dest " + destToken);
+                return;
+            }
+
+            const swap = await Swap.getMinReturn(path, sourceToken, destToken, amount);
+            if (!swap) return;
+
+            const contract = viaWrapper ? C.wRbtcWrapper : C.contractSwaps;
+            const data = viaWrapper ?
+                contract.methods["convertByPath"](path, amount, swap.minReturn).encodeABI() :
+                contract.methods["convertByPath"](path, amount, swap.minReturn, beneficiary, affiliateAcc, affiliateFee).encodeABI();
+
+            Metrics.arbitrageTrades.inc({ status: "sent" });
             try {
-                contract1.methods["conversionPath"](sourceToken, destToken).call((error, result) => {
-                    if (error || !result || result.length!=3) {
-                        console.error("error loading conversion path from " + contract._address + " for src " + sourceToken + ", dest " + destToken + " and amount: " + amount);
-                        console.error(error);
-                        return resolve();
-                    }
-                    
-                    contract2.methods["convertByPath"](result, amount, minReturn)
-                        .send({ from: beneficiary, gas: 2500000, value: val })
-                        .then(async (tx) => {
-                            console.log("Arbitrage tx successful");
-                            return resolve(tx);
-                        })
-                        .catch((err) => {
-                            console.error("Error on arbitrage tx ");
-                            console.error(err);
-                            return resolve();
-                        });
-                });
+                const tx = await TxTracker.send("arbitrage", { from: beneficiary, to: contract.options.address, data: data, gas: 2500000, value: val });
+                console.log("Arbitrage tx successful");
+                Metrics.arbitrageTrades.inc({ status: "succeeded" });
+                Notifier.info("arbitrage", conf.network + "net-arbitrage: sent " + TokenRegistry.fromUnits(amount, sourceToken) + " " + symbol + " to the amm. \n " + tx.transactionHash);
+                return tx;
             }
-            catch (e) {
-                console.error("error loading price from " + contract1._address + " for src " + sourceToken + ", dest " + destToken + " and amount: " + amount);
-                console.error(e);
-                resolve()
+            catch (err) {
+                console.error("Error on arbitrage tx ");
+                console.error(err);
+                Metrics.arbitrageTrades.inc({ status: "failed" });
             }
-        });
+        }
+        catch (e) {
+            console.error("error loading conversion path for src " + sourceToken + ", dest " + destToken + " and amount: " + amount);
+            console.error(e.message);
+        }
+    }
+
+    /**
+     * Stores the opportunity as simulated trade at the amm quote instead of sending it
+     * @param o see checkPair
+     */
+    async paperTrade(o) {
+        const trade = {
+            pair: o.pair,
+            tokenSold: o.sellToken,
+            tokenBought: o.buyToken,
+            amountSold: TokenRegistry.fromUnits(o.amount, o.sellToken),
+            amountBought: o.amountOut,
+            pfRate: o.pfRate,
+            gasCost: o.gasCost,
+            profit: o.profit
+        };
+        console.log("Paper trade: sell " + trade.amountSold + " " + TokenRegistry.get(o.sellToken).symbol + " on " + o.pair + ", expected profit " + o.profit);
+        await db.addPaperTrade(trade);
+        return trade;
+    }
 
+    /**
+     * Marks the paper trades older than conf.arbitragePaperMarkDelay seconds to the current oracle price:
+     * profit = bought amount - sold amount valued at the current price feed rate - gas cost, in units of the bought token
+     */
+    async markPaperTrades() {
+        const trades = await db.getUnmarkedPaperTrades(new Date(Date.now() - conf.arbitragePaperMarkDelay * 1000));
+        for (let t of trades) {
+            const rate = TokenRegistry.fromUnits(await this.getPriceFromPriceFeed(C.contractPriceFeed, t.tokenSold, t.tokenBought, TokenRegistry.toUnits(1, t.tokenSold)), t.tokenBought);
+            if (!(rate > 0)) continue;
+
+            const markedProfit = t.amountBought - t.amountSold * rate - t.gasCost;
+            console.log("Paper trade " + t.id + " on " + t.pair + " marked at " + rate + ": profit " + markedProfit + " (expected " + t.profit + ")");
+            await db.markPaperTrade(t.id, rate, markedProfit);
+        }
     }
 
-    async calculateProfit(txHash, btcPriceFeed){
+    /**
+     * Stores the amm trade with the profit against the price feed in the db. Like for paper trades the profit is net of the gas cost,
+     * both in units of the bought token
+     * Returns the leg {adr, tokenSold, tokenBought, amountSold, amountBought} with amounts in wei
+     */
+    async calculateProfit(txHash, pfRate){
         try {
-            const receipt = await C.web3.eth.getTransactionReceipt(txHash);
+            const receipt = await Rpc.execute(() => C.web3.eth.getTransactionReceipt(txHash), "getTransactionReceipt");
             if (receipt && receipt.logs) {
                 const logs = abiDecoder.decodeLogs(receipt.logs);
-                const conversionEvent = (logs || []).find(log => log && log.name === "Conversion");
+                //the swap network emits one Conversion event per hop of the path: sold token from the first, bought token from the last
+                const conversions = (logs || []).filter(log => log && log.name === "Conversion" && log.events);
                 // console.log(JSON.stringify(logs, null, 2));
 
-                if (conversionEvent && conversionEvent.events) {
-                    const priceFeed = Number(btcPriceFeed)/this.amount;
-                    let {fromToken, toToken, fromAmount, toAmount, trader} = U.parseEventParams(conversionEvent.events);
-                    let toAmountWithPFeed, trade;
+                if (conversions.length > 0) {
+                    let {fromToken, fromAmount, trader} = U.parseEventParams(conversions[0].events);
+                    let {toToken, toAmount} = U.parseEventParams(conversions[conversions.length - 1].events);
+                    const leg = {
+                        adr: A.arbitrage[0].adr,
+                        tokenSold: fromToken,
+                        tokenBought: toToken,
+                        amountSold: fromAmount.toString(),
+                        amountBought: toAmount.toString()
+                    };
 
-                    fromAmount = Number(C.web3.utils.fromWei(fromAmount.toString(), 'ether'));
-                    toAmount = Number(C.web3.utils.fromWei(toAmount.toString(), 'ether'));
+                    fromAmount = TokenRegistry.fromUnits(fromAmount, fromToken);
+                    toAmount = TokenRegistry.fromUnits(toAmount, toToken);
 
-                    if (fromToken.toLowerCase() === conf.testTokenRBTC.toLowerCase()) {
-                        toAmountWithPFeed = Number(fromAmount) * priceFeed;
-                        trade = 'sell btc';
-                    } else {
-                        toAmountWithPFeed = Number(fromAmount) / priceFeed;
-                        trade = 'buy btc';
-                    }
-                    const profit = toAmount - toAmountWithPFeed;
+                    const toAmountWithPFeed = Number(fromAmount) * pfRate;
+                    const fromTokenInfo = TokenRegistry.get(fromToken);
+                    const trade = 'sell ' + (fromTokenInfo ? fromTokenInfo.symbol : fromToken).toLowerCase();
+                    const gasCost = await this.fromRbtc(parseFloat(C.web3.utils.fromWei(await C.getTxCost(txHash), "Ether")), toToken);
+                    const profit = toAmount - toAmountWithPFeed - gasCost;
+                    const toTokenInfo = TokenRegistry.get(toToken);
+                    Metrics.arbitrageCompleted(toTokenInfo ? toTokenInfo.symbol : toToken, profit);
 
                     console.log({trader,
                         fromToken, toToken,
                         fromAmount, toAmount,
-                        profit,
+                        gasCost, profit,
                         trade
                     })
 
                     await db.addArbitrage({
                         adr: trader,
-                        fromToken, toToken,
-                        fromAmount, toAmount,
+                        tokenFrom: fromToken,
+                        tokenTo: toToken,
+                        amountFrom: fromAmount,
+                        amountTo: toAmount,
+                        gasCost,
                         profit,
-                        trade
-                    })
+                        trade,
+                        txHash
+                    });
+                    return leg;
                 }
             }
 
@@ -242,10 +463,43 @@ class Arbitrage {
     }
 
     /**
-    * Converts RBtc to Doc on MoneyOnchain
-    */
-    convertOnMoc() {
+     * Second leg of the arbitrage cycle: converts the tokens bought on the amm back to the sold token on the venue
+     * Both legs are stored as one cycle with the combined profit in units of the sold token:
+     * amount back - amount sold - venue commission - gas of both legs, the RBtc costs converted at the price feed rate.
+     * The costs are also stored separately in RBtc (commission, gasCost)
+     * @param leg see calculateProfit
+     */
+    async closeCycle(leg, ammTxHash) {
+        const cycle = { ...leg, venue: conf.arbitrageVenue, ammTxHash };
+        const sold = TokenRegistry.get(leg.tokenSold);
+        const symbol = sold ? sold.symbol : leg.tokenSold;
+
+        try {
+            const back = await this.venue.convert(leg.adr, leg.tokenBought, leg.tokenSold, leg.amountBought);
+            cycle.venueTxHash = back.txHash;
+            if (back.amountOut == null) throw new Error("Amount received on " + conf.arbitrageVenue + " unknown. Venue tx " + back.txHash);
+
+            const ammGas = await C.getTxCost(ammTxHash);
+            const gasCost = C.web3.utils.toBN(ammGas).add(C.web3.utils.toBN(back.gasCost || "0"));
+            cycle.commission = parseFloat(C.web3.utils.fromWei(back.commission || "0", "Ether"));
+            cycle.gasCost = parseFloat(C.web3.utils.fromWei(gasCost, "Ether"));
+            const costs = cycle.commission + cycle.gasCost > 0 ? await this.fromRbtc(cycle.commission + cycle.gasCost, leg.tokenSold) : 0;
+
+            cycle.amountBack = back.amountOut;
+            cycle.profit = TokenRegistry.fromUnits(C.web3.utils.toBN(back.amountOut).sub(C.web3.utils.toBN(leg.amountSold)), leg.tokenSold) - costs;
+            cycle.status = "closed";
+            console.log("Arbitrage cycle closed on " + conf.arbitrageVenue + ". Profit: " + cycle.profit + " " + symbol);
+            Notifier.info("arbitrage", conf.network + "net-arbitrage cycle closed on " + conf.arbitrageVenue + ". Profit: " + cycle.profit + " " + symbol + "\n " + back.txHash);
+        }
+        catch (e) {
+            console.error("Error converting back on " + conf.arbitrageVenue);
+            console.error(e);
+            cycle.status = "failed";
+            Notifier.error("arbitrage", conf.network + "net-arbitrage: converting back on " + conf.arbitrageVenue + " failed. Please check the inventory manually. Amm tx " + ammTxHash);
+        }
 
+        await db.addArbitrageCycle(cycle);
+        return cycle;
     }
 }
 
@@ -0,0 +1,96 @@
+/**
+ * Authentication of the dashboard, the rest api, the metrics endpoint and the socket connections
+ * Credentials are read from secrets/auth.js: basic auth users and api tokens (sent as "Authorization: Bearer [token]"
+ * or, for sockets, as query parameter "token"), each with a role:
+ * - viewer: read-only access
+ * - operator: additionally start/stop/pause/resume modules and trigger manual liquidations
+ * With conf.authEnabled = false (default) everybody is operator and secrets/auth.js is not needed.
+ * With conf.authEnabled = true the watcher does not start without the file.
+ * Entries with an empty user, password or token are ignored.
+ */
+import crypto from 'crypto';
+import conf from '../config/config';
+
+let credentials = { users: [], tokens: [] };
+try {
+    const c = require('../secrets/auth');
+    credentials = c.default || c;
+}
+catch (e) {
+    if (conf.authEnabled) throw new Error("authEnabled is set in the config but secrets/auth.js could not be loaded: " + e.message);
+}
+
+const roles = ["viewer", "operator"];
+
+class Auth {
+    /**
+     * Returns the role of the given authorization header or token, false if the credentials are invalid or missing
+     */
+    getRole(authorization, token) {
+        if (!conf.authEnabled) return "operator";
+
+        if (token) return this.checkToken(token);
+        if (!authorization) return false;
+
+        const [scheme, value] = authorization.split(" ");
+        if (/^bearer$/i.test(scheme)) return this.checkToken(value);
+        if (!/^basic$/i.test(scheme) || !value) return false;
+
+        const decoded = Buffer.from(value, "base64").toString();
+        const i = decoded.indexOf(":");
+        if (i <= 0 || i == decoded.length - 1) return false;
+        const user = (credentials.users || []).find(u => u.user && u.password && u.user == decoded.slice(0, i));
+        if (!user || !this.safeEqual(user.password, decoded.slice(i + 1))) return false;
+        return user.role;
+    }
+
+    checkToken(token) {
+        if (!token) return false;
+        const t = (credentials.tokens || []).find(t => t.token && this.safeEqual(t.token, token));
+        return t ? t.role : false;
+    }
+
+    /**
+     * Whether role includes the rights of the required role
+     */
+    hasRole(role, required) {
+        return roles.indexOf(role) != -1 && roles.indexOf(role) >= roles.indexOf(required);
+    }
+
+    /**
+     * Constant time comparison. Hashing first makes the length of the input irrelevant
+     */
+    safeEqual(a, b) {
+        const h = (s) => crypto.createHash("sha256").update(String(s)).digest();
+        return crypto.timingSafeEqual(h(a), h(b));
+    }
+
+    /**
+     * Express middleware. Asks the browser for basic auth credentials if missing or invalid
+     */
+    http(required) {
+        return (req, res, next) => {
+            const role = this.getRole(req.headers.authorization);
+            if (role && this.hasRole(role, required)) {
+                req.role = role;
+                return next();
+            }
+            if (!role) res.set("WWW-Authenticate", 'Basic realm="Sovryn watcher"');
+            res.status(role ? 403 : 401).json({ error: role ? "Forbidden" : "Unauthorized" });
+        };
+    }
+
+    /**
+     * Socket.io middleware for the handshake. Stores the role on the socket
+     */
+    socket() {
+        return (socket, next) => {
+            const role = this.getRole(socket.handshake.headers.authorization, socket.handshake.query && socket.handshake.query.token);
+            if (!role) return next(new Error("Unauthorized"));
+            socket.role = role;
+            next();
+        };
+    }
+}
+
+export default new Auth();
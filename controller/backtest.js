@@ -0,0 +1,77 @@
+/**
+ * Arbitrage backtester
+ * Replays the price samples recorded by the arbitrage controller (table "prices") through calcArbitrage (util/helper)
+ * with alternative thresholds and trade sizes.
+ *
+ * Every sample is one round. If calcArbitrage finds an opportunity, a trade of the given size (in base tokens) is simulated in the same
+ * direction as the live controller: sell base tokens if the amm pays more than the oracle, quote tokens otherwise.
+ * The trade is valued at the recorded rates, which are quoted for the reference amount of the pair: the slippage of bigger trades on the amm
+ * curve and the price impact of own trades on later samples are not modelled.
+ * Gross profit: amm return minus the value of the sold tokens at the oracle rate, net profit: gross profit minus the gas cost
+ * (conf.arbitrageGas at the recorded gas price), both in units of the quote token.
+ */
+import conf from '../config/config';
+import U from '../util/helper';
+import db from './db';
+
+class Backtest {
+    /**
+     * Runs the backtest of a pair for every combination of thresholds (in %) and sizes (in base tokens)
+     * Returns a list of {threshold, size, trades, grossProfit, netProfit, maxDrawdown}
+     */
+    async run(pair, thresholds, sizes, from, to) {
+        const samples = await db.getPrices(pair, from, to);
+        console.log(samples.length + " price samples of " + pair + " loaded");
+
+        const results = [];
+        for (let threshold of thresholds) {
+            for (let size of sizes) results.push({ threshold, size, ...this.simulate(samples, threshold, size) });
+        }
+        return results;
+    }
+
+    /**
+     * Returns {trades, grossProfit, netProfit, maxDrawdown} of the samples for one threshold and size.
+     * maxDrawdown is the biggest drop of the cumulated net profit from its previous peak
+     */
+    simulate(samples, threshold, size) {
+        let trades = 0, grossProfit = 0, netProfit = 0, peak = 0, maxDrawdown = 0;
+
+        for (let s of samples) {
+            const pAmm = s.ammRate * s.amount;
+            const pOracle = s.oracleRate * s.amount;
+            if (!(pAmm > 0 && pOracle > 0)) continue;
+            if (!U.calcArbitrage(pAmm, pOracle, threshold)) continue;
+
+            const gross = this.tradeProfit(s, size);
+            trades++;
+            grossProfit += gross;
+            netProfit += gross - this.gasCost(s);
+            peak = Math.max(peak, netProfit);
+            maxDrawdown = Math.max(maxDrawdown, peak - netProfit);
+        }
+        return { trades, grossProfit, netProfit, maxDrawdown };
+    }
+
+    /**
+     * Profit of a trade of size base tokens at the rates of sample s in quote tokens
+     */
+    tradeProfit(s, size) {
+        //amm pays more quote tokens than the oracle: sell base tokens
+        if (s.ammRate > s.oracleRate) return size * (s.ammRate - s.oracleRate);
+
+        //sell the oracle value of size base tokens in quote tokens, the bought base tokens are valued at the oracle rate
+        const sold = size * s.oracleRate;
+        return sold / s.ammRate * s.oracleRate - sold;
+    }
+
+    /**
+     * Gas cost of a trade in quote tokens, 0 if the gas price was not recorded
+     */
+    gasCost(s) {
+        if (!s.gasPrice || !s.rbtcRate) return 0;
+        return parseFloat(s.gasPrice) * conf.arbitrageGas / 1e18 * s.rbtcRate;
+    }
+}
+
+export default new Backtest();
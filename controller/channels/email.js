@@ -0,0 +1,33 @@
+/**
+ * Email channel
+ * Sends the message via smtp. settings: {host, port, secure, user, pass, from, to}
+ */
+const nodemailer = require('nodemailer');
+import conf from '../../config/config';
+
+export default class EmailChannel {
+    constructor(settings) {
+        this.from = settings.from;
+        this.to = settings.to;
+        this.transport = nodemailer.createTransport({
+            host: settings.host,
+            port: settings.port,
+            secure: !!settings.secure,
+            ignoreTLS: !settings.secure && !settings.user,
+            auth: settings.user ? { user: settings.user, pass: settings.pass } : undefined
+        });
+    }
+
+    isEnabled() {
+        return !!this.to;
+    }
+
+    send({ module, severity, text }) {
+        return this.transport.sendMail({
+            from: this.from,
+            to: this.to,
+            subject: "Sovryn watcher " + conf.network + "net " + severity + ": " + module,
+            text
+        });
+    }
+}
@@ -0,0 +1,24 @@
+/**
+ * Slack compatible webhook channel (Slack, Mattermost, Rocket.Chat incoming webhooks)
+ * settings: {url}
+ */
+const axios = require('axios');
+
+export default class SlackChannel {
+    constructor(settings) {
+        this.url = settings.url;
+    }
+
+    isEnabled() {
+        return !!this.url;
+    }
+
+    send({ module, severity, text }) {
+        return axios({
+            method: 'post',
+            url: this.url,
+            data: { text: "[" + severity + "] " + module + ": " + text },
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+}
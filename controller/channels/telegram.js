@@ -0,0 +1,22 @@
+/**
+ * Telegram channel
+ * Sends the message to a telegram chat through the bot api. settings: {token, chatId, apiRoot (optional)}
+ */
+const Telegram = require('telegraf/telegram');
+
+export default class TelegramChannel {
+    constructor(settings) {
+        this.token = settings.token;
+        this.chatId = settings.chatId;
+        const options = settings.apiRoot ? { apiRoot: settings.apiRoot } : {};
+        this.bot = new Telegram(settings.token, options);
+    }
+
+    isEnabled() {
+        return !!this.token;
+    }
+
+    send({ text }) {
+        return this.bot.sendMessage(this.chatId, text);
+    }
+}
@@ -0,0 +1,32 @@
+/**
+ * Generic http webhook channel
+ * Posts the message as json {network, module, severity, text, date} to the configured url. settings: {url, headers (optional)}
+ */
+const axios = require('axios');
+import conf from '../../config/config';
+
+export default class WebhookChannel {
+    constructor(settings) {
+        this.url = settings.url;
+        this.headers = settings.headers || {};
+    }
+
+    isEnabled() {
+        return !!this.url;
+    }
+
+    send({ module, severity, text }) {
+        return axios({
+            method: 'post',
+            url: this.url,
+            data: {
+                network: conf.network,
+                module,
+                severity,
+                text,
+                date: new Date()
+            },
+            headers: { "Content-Type": "application/json", ...this.headers }
+        });
+    }
+}
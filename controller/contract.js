@@ -5,21 +5,27 @@
 import Web3 from 'web3';
 import abiComplete from '../config/abiComplete';
 import abiTestToken from '../config/abiTestToken';
+import abiWRBTC from '../config/abiWRBTC';
 import abiSwaps from '../config/abiSovrynSwapNetwork';
 import abiPriceFeed from '../config/abiPriceFeed';
 import abiRBTCWrapperProxy from '../config/abiRBTCWrapperProxy';
 import conf from '../config/config';
 import wallets from '../secrets/accounts';
+import TokenRegistry from './tokenRegistry';
+import NodePool from './nodePool';
+import Rpc from './rpc';
+import TxTracker from './txTracker';
 
 class Contract {
     /**
      * Creates all the contract intances to query open positions, balances, prices
+     * All calls are routed through the node pool
      */
     constructor() {
-        this.web3 = new Web3(conf.nodeProvider);
+        this.web3 = new Web3(NodePool);
         this.contractSovryn = new this.web3.eth.Contract(abiComplete, conf.sovrynProtocolAdr);
         this.contractTokenSUSD = new this.web3.eth.Contract(abiTestToken, conf.docToken); 
-        this.contractTokenRBTC = new this.web3.eth.Contract(abiTestToken, conf.testTokenRBTC);
+        this.contractTokenRBTC = new this.web3.eth.Contract(abiTestToken.concat(abiWRBTC), conf.testTokenRBTC); //erc20 + deposit/withdraw
         this.contractSwaps = new this.web3.eth.Contract(abiSwaps, conf.swapsImpl);
         this.contractPriceFeed = new this.web3.eth.Contract(abiPriceFeed, conf.priceFeed);
         this.wRbtcWrapper = new this.web3.eth.Contract(abiRBTCWrapperProxy, conf.wRbtcWrapper);
@@ -27,45 +33,76 @@ class Contract {
         for(let w in wallets) for (let a of wallets[w]) this.web3.eth.accounts.wallet.add(a.pKey);
    }
 
+    /**
+     * Executes a read-only contract call (eg. contract.methods.getLoan(loanId)) with timeout, retries and rate limit
+     * Rejects with an RpcError
+     */
+    call(method, label, ...args) {
+        return Rpc.execute(() => method.call(...args), label);
+    }
+
     /**
      * Loads complete position info from the Sovryn contract
      */
-    getPositionStatus(loanId) {
-        let p = this;
-        return new Promise(resolve => {
-            try {
-                p.contractSovryn.methods.getLoan(loanId).call((error, result) => {
-                    if (error) {
-                        console.error("error loading loan " + loanId);
-                        console.error(error);
-                        return resolve(false);
-                    }
-                    resolve(result);
-                });
-            }
-            catch (e) {
-                console.error("error on retrieving loan status for loan-id " + loanId);
-                console.error(e);
-                resolve(false)
-            }
-        });
+    async getPositionStatus(loanId) {
+        try {
+            return await this.call(this.contractSovryn.methods.getLoan(loanId), "getLoan");
+        }
+        catch (e) {
+            console.error("error loading loan " + loanId);
+            console.error(e.message);
+            return false;
+        }
+    }
+
+    /**
+     * Reads the loan from the two healthiest nodes and returns true only if both agree that it can be liquidated
+     */
+    async confirmLiquidation(loanId) {
+        const nodes = NodePool.getCandidates().filter(n => n.healthy).slice(0, 2);
+        if (nodes.length < 2) {
+            console.error("Can not confirm the liquidation of loan " + loanId + ". Less than 2 healthy nodes available");
+            return false;
+        }
+
+        try {
+            const loans = await Promise.all(nodes.map(n => this.call(this.getNodeContract(n).methods.getLoan(loanId), "getLoan")));
+            const agreed = loans.every(l => l && this.web3.utils.toBN(l.maxLiquidatable).gtn(0));
+            if (!agreed) console.log("Nodes " + nodes.map(n => n.url).join(", ") + " do not agree on the liquidation of loan " + loanId);
+            return agreed;
+        }
+        catch (e) {
+            console.error("Error confirming the liquidation of loan " + loanId);
+            console.error(e);
+            return false;
+        }
+    }
+
+    /**
+     * Sovryn contract instance bound to a single node of the pool
+     */
+    getNodeContract(node) {
+        if (!node.contractSovryn) node.contractSovryn = new (new Web3(node.provider)).eth.Contract(abiComplete, conf.sovrynProtocolAdr);
+        return node.contractSovryn;
     }
 
     /**
     * Tokenholder approves the loan token contract to spend tokens on his behalf
     * This is needed in order to be able to liquidate a position and should be executed once in the beginning
+    * Sent through the tx tracker, so the nonce is assigned by the nonce manager
+    * Returns the tx hash or undefined if the approval failed
     */
-    approveToken(tokenCtr, from, receiver, amount) {
-        return new Promise(resolve => {
-            tokenCtr.methods.approve(receiver, amount)
-                .send({ from: from, gas:200000 })
-                .then((tx) => {
-                    console.log("Approved Transaction: ");
-                    //console.log(tx);
-                    if (tx.transactionHash) resolve(tx.transactionHash);
-                    else resolve();
-                });
-        });
+    async approveToken(tokenCtr, from, receiver, amount) {
+        try {
+            const data = tokenCtr.methods.approve(receiver, amount).encodeABI();
+            const tx = await TxTracker.send("approval", { from: from, to: tokenCtr.options.address, data: data, gas: 200000 });
+            console.log("Approved Transaction: ");
+            return tx.transactionHash;
+        }
+        catch (e) {
+            console.error("Error approving " + receiver + " to spend " + amount + " of token " + tokenCtr.options.address + " for " + from);
+            console.error(e);
+        }
     }
 
     /**
@@ -90,70 +127,68 @@ class Contract {
      * Return the wallet RBtc balance
      */
     async getWalletBalance(adr) {
-        let bal = await this.web3.eth.getBalance(adr);
+        let bal = await Rpc.execute(() => this.web3.eth.getBalance(adr), "getBalance");
         bal = this.web3.utils.fromWei(bal, 'Ether');
         return bal;
     }
 
+    /**
+     * Returns the gas cost of a mined transaction in wei (gas used * gas price), "0" if the transaction is not found
+     */
+    async getTxCost(txHash) {
+        try {
+            const receipt = await Rpc.execute(() => this.web3.eth.getTransactionReceipt(txHash), "getTransactionReceipt");
+            const tx = await Rpc.execute(() => this.web3.eth.getTransaction(txHash), "getTransaction");
+            if (!receipt || !tx) return "0";
+            return this.web3.utils.toBN(receipt.gasUsed).mul(this.web3.utils.toBN(tx.gasPrice)).toString();
+        }
+        catch (e) {
+            console.error("error loading the gas cost of tx " + txHash);
+            console.error(e.message);
+            return "0";
+        }
+    }
+
     /**
      * Returns the wallet token balance in wei
      */
-    getWalletTokenBalance(adr, token) {
+    async getWalletTokenBalance(adr, token) {
         const tokenCtr = this.getTokenInstance(token);
 
-        return new Promise(async (resolve) => {
-            try {
-                tokenCtr.methods.balanceOf(adr).call((error, result) => {
-                    if (error) {
-                        console.error("error loading wallet token balance "+adr);
-                        console.error(error);
-                        return resolve(false);
-                    }
-                    resolve(result);
-                });
-            }
-            catch (e) {
-                console.error("error on retrieving wallet status for  "+adr);
-                console.error(e);
-                resolve(false)
-            }
-        });
+        try {
+            return await this.call(tokenCtr.methods.balanceOf(adr), "balanceOf");
+        }
+        catch (e) {
+            console.error("error loading wallet token balance "+adr);
+            console.error(e.message);
+            return false;
+        }
     }
 
     /**
      * Returns the allowance for adr2 to spend tokens of address adr1
      */
-    getWalletTokenAllowance(adr1, adr2, token) {
+    async getWalletTokenAllowance(adr1, adr2, token) {
         const tokenCtr = this.getTokenInstance(token);
 
-        return new Promise(async (resolve) => {
-            try {
-                tokenCtr.methods.allowance(adr1, adr2).call((error, result) => {
-                    if (error) {
-                        console.error("error loading allowance "+adr);
-                        console.error(error);
-                        return resolve(false);
-                    }
-
-                    let bal = this.web3.utils.fromWei(result, 'Ether');
-                    resolve(bal);
-                });
-            }
-            catch (e) {
-                console.error("error on retrieving allowance for  "+adr);
-                console.error(e);
-                resolve(false)
-            }
-        });
+        try {
+            const result = await this.call(tokenCtr.methods.allowance(adr1, adr2), "allowance");
+            return this.web3.utils.fromWei(result, 'Ether');
+        }
+        catch (e) {
+            console.error("error loading allowance "+adr1);
+            console.error(e.message);
+            return false;
+        }
     }
 
 
     /**
-     * helper function
+     * Returns the erc20 contract instance of a token from the token registry
      */
     getTokenInstance(adr) {
-        if (adr && adr.toLowerCase() == conf.docToken.toLowerCase()) return this.contractTokenSUSD;
-        else if (adr && adr.toLowerCase() == conf.testTokenRBTC.toLowerCase()) return this.contractTokenRBTC;
+        const token = TokenRegistry.get(adr);
+        if (token) return token.contract;
     }
 }
 
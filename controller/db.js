@@ -4,10 +4,17 @@
 
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const _ = require('lodash');
 
 import Arbitrage from '../models/arbitrage';
+import ArbitrageCycle from '../models/arbitrageCycle';
+import PaperTrade from '../models/paperTrade';
+import Price from '../models/price';
 import Rollover from '../models/rollover';
 import Liquidator from '../models/liquidator';
+import Positions from '../models/positions';
+import Transactions from '../models/transactions';
+import Wallets from '../models/wallets';
 
 
 class DbCtrl {
@@ -34,11 +41,23 @@ class DbCtrl {
     async initRepos() {
         try {
             this.arbRepo = new Arbitrage(this.db);
+            this.cycleRepo = new ArbitrageCycle(this.db);
+            this.paperRepo = new PaperTrade(this.db);
+            this.priceRepo = new Price(this.db);
             this.rollRepo = new Rollover(this.db);
             this.liqRepo = new Liquidator(this.db);
+            this.posRepo = new Positions(this.db);
+            this.txRepo = new Transactions(this.db);
+            this.walletRepo = new Wallets(this.db);
             await this.arbRepo.createTable();
+            await this.cycleRepo.createTable();
+            await this.paperRepo.createTable();
+            await this.priceRepo.createTable();
             await this.rollRepo.createTable();
             await this.liqRepo.createTable();
+            await this.posRepo.createTable();
+            await this.txRepo.createTable();
+            await this.walletRepo.createTable();
         } catch (e) {
             console.log(e);
         }
@@ -56,7 +75,7 @@ class DbCtrl {
         }
     }
 
-    async addLiquidate({liquidatorAdr, liquidatedAdr, amount, pos, loanId, profit, txHash}) {
+    async addLiquidate({liquidatorAdr, liquidatedAdr, amount, pos, loanId, profit, slippage, swapStatus, txHash}) {
         try {
             return await this.liqRepo.insert({
                 liquidatorAdr,
@@ -65,6 +84,8 @@ class DbCtrl {
                 pos,
                 loanId,
                 profit,
+                slippage,
+                swapStatus,
                 txHash
             })
         } catch (e) {
@@ -72,11 +93,11 @@ class DbCtrl {
         }
     }
 
-    async addArbitrage({adr, tokenFrom, tokenTo, amountFrom, amountTo, profit, trade, txHash}) {
+    async addArbitrage({adr, tokenFrom, tokenTo, amountFrom, amountTo, gasCost, profit, trade, txHash}) {
         try {
             return await this.arbRepo.insert({
                 adr, tokenFrom, tokenTo,
-                amountFrom, amountTo, profit, trade,
+                amountFrom, amountTo, gasCost, profit, trade,
                 txHash
             })
         } catch (e) {
@@ -84,6 +105,244 @@ class DbCtrl {
         }
     }
 
+    async addArbitrageCycle({adr, venue, tokenSold, tokenBought, amountSold, amountBought, amountBack, ammTxHash, venueTxHash, commission, gasCost, profit, status}) {
+        try {
+            return await this.cycleRepo.insert({
+                adr, venue, tokenSold, tokenBought,
+                amountSold, amountBought, amountBack,
+                ammTxHash, venueTxHash, commission, gasCost, profit, status
+            })
+        } catch (e) {
+            console.log(e);
+        }
+    }
+
+    async addPaperTrade({pair, tokenSold, tokenBought, amountSold, amountBought, pfRate, gasCost, profit}) {
+        try {
+            return await this.paperRepo.insert({
+                pair, tokenSold, tokenBought,
+                amountSold, amountBought, pfRate,
+                gasCost, profit
+            })
+        } catch (e) {
+            console.log(e);
+        }
+    }
+
+    /**
+     * Returns the paper trades added before the given date which are not marked to the oracle price yet
+     */
+    async getUnmarkedPaperTrades(before) {
+        try {
+            return await this.paperRepo.findUnmarked(before);
+        } catch (e) {
+            console.log(e);
+            return [];
+        }
+    }
+
+    async markPaperTrade(id, markRate, markedProfit) {
+        try {
+            return await this.paperRepo.update({ id }, { markRate, markedProfit, dateMarked: new Date() });
+        } catch (e) {
+            console.log(e);
+        }
+    }
+
+    /**
+     * Returns {live, paper}: number of trades and profit per bought token of the live arbitrage trades and the paper trades
+     */
+    async getArbitrageSummary() {
+        try {
+            return {
+                live: await this.arbRepo.profitByToken(),
+                paper: await this.paperRepo.profitByToken()
+            };
+        } catch (e) {
+            console.log(e);
+            return { live: [], paper: [] };
+        }
+    }
+
+    async addPrice({blockNr, pair, amount, ammRate, oracleRate, gasPrice, rbtcRate}) {
+        try {
+            return await this.priceRepo.insert({
+                blockNr, pair, amount,
+                ammRate, oracleRate,
+                gasPrice, rbtcRate
+            })
+        } catch (e) {
+            console.log(e);
+        }
+    }
+
+    /**
+     * Returns the price samples of a pair (eg "WRBTC/DOC") recorded between from and to (Date or null), oldest first
+     */
+    async getPrices(pair, from, to) {
+        try {
+            return await this.priceRepo.findByPair(pair, from, to);
+        } catch (e) {
+            console.log(e);
+            return [];
+        }
+    }
+
+    async addTransaction({type, adr, nonce, gasPrice, attempt, status, txHash}) {
+        try {
+            return await this.txRepo.insert({
+                type, adr, nonce,
+                gasPrice, attempt, status,
+                txHash
+            })
+        } catch (e) {
+            console.log(e);
+        }
+    }
+
+    async updateTransaction(txHash, status) {
+        try {
+            return await this.txRepo.update({ txHash }, { status });
+        } catch (e) {
+            console.log(e);
+        }
+    }
+
+    /**
+     * Stores the next nonce and the unfinished queue entries (loan ids) of a wallet
+     */
+    async saveWalletState({adr, type, nonce, queue}) {
+        try {
+            return await this.walletRepo.upsert({
+                adr, type, nonce,
+                queue: JSON.stringify(queue || [])
+            });
+        } catch (e) {
+            console.log(e);
+        }
+    }
+
+    /**
+     * Returns the wallet states stored on the last shutdown
+     */
+    async getWalletStates() {
+        try {
+            const rows = await this.walletRepo.find({});
+            return rows.map(r => ({ ...r, queue: JSON.parse(r.queue) }));
+        } catch (e) {
+            console.log(e);
+            return [];
+        }
+    }
+
+    close() {
+        return new Promise(resolve => {
+            if (!this.db) return resolve();
+            this.db.close((err) => {
+                if (err) console.error(err.message);
+                else console.log('Closed the database connection.');
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Returns the last rows of the liquidator, rollover, arbitrage, arbitrageCycle or paperTrade table, newest first
+     */
+    async getHistory(table, limit) {
+        const repos = { liquidator: this.liqRepo, rollover: this.rollRepo, arbitrage: this.arbRepo, arbitrageCycle: this.cycleRepo, paperTrade: this.paperRepo };
+        if (!repos[table]) return false;
+
+        try {
+            return await repos[table].find({}, { limit, orderBy: { id: -1 } });
+        } catch (e) {
+            console.log(e);
+            return false;
+        }
+    }
+
+    /**
+     * Returns {total, rows} of the liquidator, rollover, arbitrage, arbitrageCycle or paperTrade table added between from and to (Date or null), newest first
+     * Returns false for unknown tables
+     */
+    async queryHistory(table, from, to, limit, offset) {
+        const repos = { liquidator: this.liqRepo, rollover: this.rollRepo, arbitrage: this.arbRepo, arbitrageCycle: this.cycleRepo, paperTrade: this.paperRepo };
+        if (!repos[table]) return false;
+
+        try {
+            const total = await repos[table].countByDate(from, to);
+            const rows = await repos[table].findByDate(from, to, { limit, offset });
+            return { total, rows };
+        } catch (e) {
+            console.log(e);
+            return false;
+        }
+    }
+
+    /**
+     * Returns {status: count} of all tx attempts of the last "seconds"
+     */
+    async getTxStats(seconds) {
+        try {
+            const rows = await this.txRepo.countByStatus(new Date(Date.now() - seconds * 1000));
+            const stats = {};
+            for (let r of rows) stats[r.status] = r.count;
+            return stats;
+        } catch (e) {
+            console.log(e);
+            return {};
+        }
+    }
+
+    /**
+     * Returns the last known loan structs of all cached positions
+     */
+    async getPositions() {
+        try {
+            const rows = await this.posRepo.find({});
+            return rows.map(r => JSON.parse(r.loan));
+        } catch (e) {
+            console.log(e);
+            return [];
+        }
+    }
+
+    /**
+     * Stores the loan struct as read at block blockNr. Only the named fields of the web3 result are kept.
+     */
+    async savePosition(loan, blockNr) {
+        try {
+            const loanData = _.omitBy(loan, (v, k) => !isNaN(k));
+            return await this.posRepo.upsert({
+                loanId: loan.loanId,
+                loan: JSON.stringify(loanData),
+                margin: loan.currentMargin,
+                blockNr
+            });
+        } catch (e) {
+            console.log(e);
+        }
+    }
+
+    async removePosition(loanId) {
+        try {
+            return await this.posRepo.delete({ loanId });
+        } catch (e) {
+            console.log(e);
+        }
+    }
+
+    /**
+     * Replaces the cached positions with the result of a complete sweep started at block blockNr
+     */
+    async savePositions(positions, blockNr) {
+        try {
+            for (let k in positions) await this.savePosition(positions[k], blockNr);
+            return await this.posRepo.removeOutdated(blockNr);
+        } catch (e) {
+            console.log(e);
+        }
+    }
 }
 
 export default new DbCtrl();
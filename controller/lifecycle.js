@@ -0,0 +1,66 @@
+/**
+ * Lifecycle of the watcher modules running an endless loop (liquidator, rollover, arbitrage)
+ * The state of all modules is kept in the shared object Lifecycle.state: "running", "paused" or "stopped".
+ * A paused module keeps looping without doing any work, a stopped module leaves its loop after the current round.
+ */
+const state = {};
+
+export default class Lifecycle {
+    constructor(name) {
+        this.name = name;
+        this.looping = false;
+        state[name] = "stopped";
+    }
+
+    static get state() {
+        return state;
+    }
+
+    /**
+     * Starts the loop of the module. If the loop of a stopped module did not exit yet, it just continues.
+     */
+    start() {
+        state[this.name] = "running";
+        if (this.looping) return;
+
+        this.looping = true;
+        console.log("Starting " + this.name);
+        this.run()
+            .catch((e) => {
+                console.error("Error in the loop of " + this.name);
+                console.error(e);
+                state[this.name] = "stopped";
+            })
+            .then(() => {
+                this.looping = false;
+                console.log(this.name + " stopped");
+            });
+    }
+
+    stop() {
+        state[this.name] = "stopped";
+    }
+
+    pause() {
+        if (state[this.name] == "running") state[this.name] = "paused";
+    }
+
+    resume() {
+        if (state[this.name] == "paused") state[this.name] = "running";
+    }
+
+    isStopped() {
+        return state[this.name] == "stopped";
+    }
+
+    isPaused() {
+        return state[this.name] == "paused";
+    }
+
+    /**
+     * The loop of the module. Must return when isStopped() and do no work while isPaused()
+     */
+    async run() {
+        throw new Error("run not implemented for " + this.name);
+    }
+}
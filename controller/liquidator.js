@@ -2,58 +2,108 @@
  * Liquidation handler
  * If liquidation is successful removes position from liquidation list
  * If it fails, check if the liquidation criteria are still met. 
- * If no, delete it from the liquidation list. If yes, send an error notification to a telegram group for manual processing. 
+ * If no, delete it from the liquidation list. If yes, send an error notification (telegram group or other notification channels) for manual processing. 
  * 
- * todo: If the contract returns WRBTC when liquidating long positions -> swap the WRBTC For RBTC to avoid bankrupcy of the wallet
- * alternative: liquidate only with wrbtc
+ * The contract returns WRBTC when liquidating long positions. The received WRBTC is unwrapped to RBTC to avoid bankrupcy of the wallet,
+ * except for the share configured as WRBTC inventory (wrbtcInventoryPercent)
  */
 
-const Telegram = require('telegraf/telegram');
 import C from './contract';
+import Rpc from './rpc';
 import U from '../util/helper';
 import Wallet from './wallet';
+import TxTracker from './txTracker';
+import NonceManager from './nonceManager';
+import Swap from './swap';
+import TokenRegistry from './tokenRegistry';
+import Notifier from './notifier';
+import Lifecycle from './lifecycle';
 import conf from '../config/config';
 import abiDecoder from 'abi-decoder';
+import abiComplete from '../config/abiComplete';
 import dbCtrl from './db';
+import Metrics from './metrics';
 
-class Liquidator {
+//known revert reasons of the protocol liquidate function, classified by the cause of the failure
+const revertReasons = [
+    { reason: "closed", pattern: /loan is closed|loanId is invalid|nothing to liquidate/i },
+    { reason: "healthy", pattern: /healthy position/i },
+    { reason: "balance", pattern: /insufficient|exceeds balance|allowance|transfer failed|low-level call failed/i },
+    { reason: "value", pattern: /msg\.value|ether sent|value mismatch/i }
+];
+
+class Liquidator extends Lifecycle {
     constructor() {
-        this.telegramBotWatcher = new Telegram(conf.errorBotTelegram);
+        super("liquidator");
+        //addLiqLog decodes the Liquidate event of the protocol
+        abiDecoder.addABI(abiComplete);
+        this.unprofitable = {};
+        this.simulatedFailures = {};
     }
 
     start(liquidations) {
-        this.liquidations = liquidations;
-        this.checkPositionsForLiquidations();
+        if (liquidations) this.liquidations = liquidations;
+        super.start();
+    }
+
+    run() {
+        return this.checkPositionsForLiquidations();
     }
 
     /**
      * Wrapper for liquidations
-     * 1. Get wallet with enough funds in required tokens and not busy atm, then 
-     * 2. Try to liquidate position
+     * 1. Skip positions where the liquidation incentive does not cover the gas cost or, with conf.liquidationQuorum,
+     *    if a second node does not confirm that it can be liquidated
+     * 2. Get wallet with enough funds in required tokens and not busy atm, then 
+     * 3. Simulate the liquidation, and only if it succeeds
+     * 4. Try to liquidate position
      */
     async checkPositionsForLiquidations() {
-        while (true) {
+        while (!this.isStopped()) {
+            if (this.isPaused()) {
+                await U.wasteTime(conf.liquidatorScanInterval);
+                continue;
+            }
             console.log("started liquidation round");
             console.log(Object.keys(this.liquidations).length + " positions need to be liquidated");
+            await NonceManager.checkGaps();
 
             for (let p in this.liquidations) {
                 const pos = this.liquidations[p];
-                const token = pos.loanToken == conf.testTokenRBTC ? "rBtc" : pos.loanToken;
+                const token = TokenRegistry.isWrbtc(pos.loanToken) ? "rBtc" : pos.loanToken;
 
                 //Position already in liquidation wallet-queue
                 if (Wallet.checkIfPositionExists(p)) continue;
 
+                const profit = await this.getLiquidationProfit(pos);
+                if (profit === false || profit < conf.minLiquidationProfit) {
+                    this.handleUnprofitable(p, profit);
+                    continue;
+                }
+                delete this.unprofitable[p];
+
+                //the liquidation signal of the active node is only acted upon if a second node agrees
+                if (conf.liquidationQuorum && !(await C.confirmLiquidation(p))) {
+                    delete this.liquidations[p];
+                    continue;
+                }
+
                 const w = await Wallet.getWallet("liquidator", pos.maxLiquidatable, token);
                 if (!w) {
                     this.handleNoWalletError(p);
                     continue;
                 }
-                const nonce = await C.web3.eth.getTransactionCount(w.adr, 'pending');
 
-                this.liquidate(p, w.adr, pos.maxLiquidatable, token, nonce);
+                const simulated = await this.simulateLiquidation(p, w.adr, pos.maxLiquidatable, token);
+                if (!simulated.success) {
+                    this.handleSimulationError(p, simulated.reason, simulated.error);
+                    continue;
+                }
+
+                this.liquidate(p, w.adr, pos.maxLiquidatable, token);
                 await U.wasteTime(1); //1 second break to avoid rejection from node                
             }
-            console.log("Completed liquidation round");
+            console.log("Completed liquidation round. Simulated failures so far: " + JSON.stringify(this.simulatedFailures));
             await U.wasteTime(conf.liquidatorScanInterval);
         }
     }
@@ -62,37 +112,89 @@ class Liquidator {
     * Tries to liquidate a position
     * If Loan token == WRBTC -> pass value
     * wallet = sender and receiver address
+    * The nonce is assigned by the nonce manager when sending
     */
-    liquidate(loanId, wallet, amount, token, nonce) {
+    liquidate(loanId, wallet, amount, token) {
         console.log("trying to liquidate loan " + loanId + " from wallet " + wallet + ", amount: " + amount);
         Wallet.addToQueue("liquidator", wallet, loanId);
         const val = token == "rBtc" ? amount : 0;
         console.log("Sending val: " + val);
-        console.log("Nonce: " + nonce);
 
         //delete position from liquidation queue, regardless of success or failure because in the latter case it gets added again anyway
         delete this.liquidations[loanId];
 
         const p = this;
-        C.contractSovryn.methods.liquidate(loanId, wallet, amount)
-            .send({ from: wallet, gas: 2500000, nonce: nonce, value: val })
+        const data = C.contractSovryn.methods.liquidate(loanId, wallet, amount).encodeABI();
+        Metrics.liquidations.inc({ status: "sent", reason: "" });
+        TxTracker.send("liquidator", { from: wallet, to: conf.sovrynProtocolAdr, data: data, gas: 2500000, value: val })
             .then(async (tx) => {
                 console.log("loan " + loanId + " liquidated!");
-                console.log(tx.txHash);
+                console.log(tx.transactionHash);
+                Metrics.liquidations.inc({ status: "succeeded", reason: "" });
                 p.handleLiqSuccess(wallet, loanId, tx.transactionHash);
-                addLiqLog(tx.transactionHash);
+                p.addLiqLog(tx.transactionHash);
             })
-            .catch((err) => {
+            .catch(async (err) => {
                 console.error("Error on liquidating loan " + loanId);
                 console.error(err);
+                const reason = await p.getFailureReason(err, loanId, wallet, amount, token);
+                console.log("Liquidation of loan " + loanId + " failed. Reason: " + reason);
+                Metrics.liquidations.inc({ status: "failed", reason });
                 p.handleLiqError(wallet, loanId);
             });
     }
 
+    /**
+     * Executes the liquidation with a call on the pending block
+     * Returns {success: true} or {success: false, reason, error} with the classified revert reason
+     */
+    async simulateLiquidation(loanId, wallet, amount, token) {
+        const val = token == "rBtc" ? amount : 0;
+        try {
+            await C.contractSovryn.methods.liquidate(loanId, wallet, amount).call({ from: wallet, value: val }, 'pending');
+            return { success: true };
+        }
+        catch (e) {
+            return { success: false, reason: this.classifyRevert(e), error: e };
+        }
+    }
+
+    /**
+     * The error of a reverted tx carries no revert reason. In this case the liquidation is replayed with a call to get it
+     */
+    async getFailureReason(err, loanId, wallet, amount, token) {
+        const reason = this.classifyRevert(err);
+        if (reason != "unknown") return reason;
+
+        const replayed = await this.simulateLiquidation(loanId, wallet, amount, token);
+        return replayed.success ? "unknown" : replayed.reason;
+    }
+
+    /**
+     * Maps the error of a failed liquidation call to one of the revertReasons, "unknown" otherwise
+     */
+    classifyRevert(err) {
+        const msg = err && err.message ? err.message : String(err);
+        const known = revertReasons.find(r => r.pattern.test(msg));
+        return known ? known.reason : "unknown";
+    }
+
+    /**
+     * A failed simulation costs no gas and is only logged. The position is removed from the liquidation queue,
+     * the scanner adds it again if it still needs to be liquidated
+     */
+    handleSimulationError(loanId, reason, err) {
+        this.simulatedFailures[reason] = (this.simulatedFailures[reason] || 0) + 1;
+        Metrics.liquidations.inc({ status: "simulation_failed", reason });
+        console.log("Simulated liquidation of loan " + loanId + " failed. Reason: " + reason);
+        if (reason == "unknown") console.log(err && err.message);
+        delete this.liquidations[loanId];
+    }
+
     handleLiqSuccess(wallet, loanId, txHash) {
         Wallet.removeFromQueue("liquidator", wallet, loanId);
         const msg = conf.network + "net-liquidation of loan " + loanId + " successful. \n " + txHash;
-        this.telegramBotWatcher.sendMessage(conf.sovrynInternalTelegramId, msg);
+        Notifier.info("liquidator", msg);
     }
 
     /**
@@ -105,18 +207,95 @@ class Liquidator {
         const updatedLoan = await C.getPositionStatus(loanId)
         if (updatedLoan.maxLiquidatable > 0) {
             console.log("loan " + loanId + " should still be liquidated. Please check manually");
-            this.telegramBotWatcher.sendMessage(conf.sovrynInternalTelegramId, conf.network + "net-liquidation of loan " + loanId + " failed.");
+            Notifier.error("liquidator", conf.network + "net-liquidation of loan " + loanId + " failed.");
+        }
+    }
+
+    /**
+     * Reports a skipped liquidation once per loan, not on every round
+     */
+    handleUnprofitable(loanId, profit) {
+        const msg = profit === false ?
+            "Liquidation of loan " + loanId + " skipped because the profit could not be estimated" :
+            "Liquidation of loan " + loanId + " skipped. Expected profit " + profit + " RBTC is below " + conf.minLiquidationProfit + " RBTC";
+        console.log(msg);
+
+        if (this.unprofitable[loanId]) return;
+        this.unprofitable[loanId] = true;
+        Notifier.warning("liquidator", conf.network + "net-" + msg);
+    }
+
+    /**
+     * Estimates the profit of liquidating a position in RBTC:
+     * liquidation incentive contained in the seizable collateral, valued at the price feed rate, minus the gas cost at the current gas price
+     * Returns false if the estimation failed
+     */
+    async getLiquidationProfit(pos) {
+        try {
+            const incentivePercent = await this.getLiquidationIncentivePercent();
+            //maxSeizable = repaid amount * (100 + incentive) / 100
+            const incentive = C.web3.utils.toBN(pos.maxSeizable).mul(incentivePercent)
+                .div(C.web3.utils.toBN(C.web3.utils.toWei("100", "Ether")).add(incentivePercent));
+
+            let incentiveRbtc = incentive.toString();
+            if (!TokenRegistry.isWrbtc(pos.collateralToken)) {
+                incentiveRbtc = await C.call(C.contractPriceFeed.methods.queryReturn(pos.collateralToken, conf.testTokenRBTC, incentiveRbtc), "queryReturn");
+            }
+
+            const gasPrice = await Rpc.execute(() => C.web3.eth.getGasPrice(), "getGasPrice");
+            const gasCost = C.web3.utils.toBN(gasPrice).mul(C.web3.utils.toBN(conf.liquidationGas));
+            const profit = parseFloat(C.web3.utils.fromWei(incentiveRbtc.toString(), "Ether")) - parseFloat(C.web3.utils.fromWei(gasCost, "Ether"));
+            console.log("Expected profit of liquidating loan " + pos.loanId + ": " + profit + " RBTC");
+            return profit;
+        }
+        catch (e) {
+            console.error("Error estimating the liquidation profit of loan " + pos.loanId);
+            console.error(e);
+            return false;
+        }
+    }
+
+    /**
+     * Liquidation incentive of the protocol in wei (5% = 5e18), loaded once
+     */
+    async getLiquidationIncentivePercent() {
+        if (!this.liquidationIncentivePercent) {
+            const pct = await C.call(C.contractSovryn.methods.liquidationIncentivePercent(), "liquidationIncentivePercent");
+            this.liquidationIncentivePercent = C.web3.utils.toBN(pct);
         }
+        return this.liquidationIncentivePercent;
     }
 
     handleNoWalletError(loanId) {
         console.error("Liquidation of loan " + loanId + " failed because no wallet with enough funds was available");
-        this.telegramBotWatcher.sendMessage(conf.sovrynInternalTelegramId, conf.network + "net-liquidation of loan " + loanId + " failed because no wallet with enough funds was found.");
+        Notifier.error("liquidator", conf.network + "net-liquidation of loan " + loanId + " failed because no wallet with enough funds was found.");
+    }
+
+    /**
+     * Converts the received WRBTC back to RBTC, which is needed for gas and liquidating long positions
+     * The configured share is kept as WRBTC inventory
+     * @param received amount in wei (BN)
+     */
+    async unwrapWrbtc(wallet, received) {
+        //scaled to basis points, the percent may have decimals
+        const amount = received.muln(Math.round((100 - conf.wrbtcInventoryPercent) * 100)).divn(10000);
+        if (amount.isZero()) return;
+
+        try {
+            const data = C.contractTokenRBTC.methods.withdraw(amount.toString()).encodeABI();
+            const tx = await TxTracker.send("liquidator", { from: wallet, to: conf.testTokenRBTC, data: data, gas: 100000 });
+            console.log("Unwrapped " + C.web3.utils.fromWei(amount, "Ether") + " of " + C.web3.utils.fromWei(received, "Ether") + " WRBTC received by " + wallet + ". " + tx.transactionHash);
+            return tx.transactionHash;
+        }
+        catch (e) {
+            console.error("Error unwrapping " + amount.toString() + " WRBTC of wallet " + wallet);
+            console.error(e);
+        }
     }
 
     async addLiqLog(txHash) {
         try {
-            const receipt = await C.web3.eth.getTransactionReceipt(txHash);
+            const receipt = await Rpc.execute(() => C.web3.eth.getTransactionReceipt(txHash), "getTransactionReceipt");
 
             if (receipt && receipt.logs) {
                 const logs = abiDecoder.decodeLogs(receipt.logs) || [];
@@ -125,21 +304,46 @@ class Liquidator {
                     user, liquidator, loanId, loanToken, collateralToken, collateralWithdrawAmount
                 } = U.parseEventParams(liqEvent && liqEvent.events);
 
-                if (user && liquidator, loanId) {
-                    const path = await C.contractSwaps.methods['conversionPath'](collateralToken, loanToken).call();
-                    if (!path || path.length != 3) return;
-
+                if (user && liquidator && loanId) {
+                    const path = await C.call(C.contractSwaps.methods['conversionPath'](collateralToken, loanToken), "conversionPath");
                     const balBefore = await C.getWalletTokenBalance(liquidator, loanToken);
                     const affiliateAcc = "0x0000000000000000000000000000000000000000";
-                    const approved = await C.approveToken(C.getTokenInstance(collateralToken), liquidator, conf.swapsImpl, collateralWithdrawAmount);
-                    const swapTx = await C.contractSwaps.methods['convertByPath'](path, collateralWithdrawAmount, 1, liquidator, affiliateAcc, 0).send({
-                        from: liquidator,
-                        gas: 2500000
-                    });
+                    let slippage = null, swap = false, swapStatus;
+
+                    //no path, unknown balance or quote too far off the oracle -> keep the collateral
+                    if (!path || path.length != 3) swapStatus = "skipped: no conversion path";
+                    else if (balBefore === false) swapStatus = "skipped: loan token balance unknown";
+                    else {
+                        swap = await Swap.getMinReturn(path, collateralToken, loanToken, collateralWithdrawAmount, conf.swapRetries);
+                        if (!swap) swapStatus = "skipped: quote too far off the oracle";
+                    }
+
+                    if (swap) {
+                        try {
+                            await C.approveToken(C.getTokenInstance(collateralToken), liquidator, conf.swapsImpl, collateralWithdrawAmount);
+                            const data = C.contractSwaps.methods['convertByPath'](path, collateralWithdrawAmount, swap.minReturn, liquidator, affiliateAcc, 0).encodeABI();
+                            await TxTracker.send("liquidator", { from: liquidator, to: C.contractSwaps.options.address, data: data, gas: 2500000 });
+                            swapStatus = "swapped";
+                        }
+                        catch (e) {
+                            console.error("Error swapping the collateral of loan " + loanId);
+                            console.error(e);
+                            swapStatus = "failed";
+                        }
+                    }
+                    if (swapStatus != "swapped") console.log("Collateral of loan " + loanId + " not swapped: " + swapStatus);
+
+                    const balAfter = balBefore === false ? false : await C.getWalletTokenBalance(liquidator, loanToken);
+                    const received = balAfter === false ? null : C.web3.utils.toBN(balAfter).sub(C.web3.utils.toBN(balBefore));
+                    if (!received) console.error("Loan token balance of " + liquidator + " unknown, profit of loan " + loanId + " not recorded");
+                    const profit = received ? parseFloat(received.toString()) : null;
+                    if (swapStatus == "swapped" && received) slippage = Swap.calcSlippage(swap.oracle, received);
 
-                    const balAfter = await C.getWalletTokenBalance(liquidator, loanToken);
-                    const profit = parseFloat(balAfter) - parseFloat(balBefore);
-                    const pos = loanToken.toLowerCase() === conf.testTokenRBTC.toLowerCase() ? 'long' : 'short';
+                    let wrbtcReceived;
+                    if (TokenRegistry.isWrbtc(loanToken)) wrbtcReceived = received;
+                    else if (swapStatus != "swapped" && TokenRegistry.isWrbtc(collateralToken)) wrbtcReceived = C.web3.utils.toBN(collateralWithdrawAmount);
+                    if (wrbtcReceived && wrbtcReceived.gtn(0)) await this.unwrapWrbtc(liquidator, wrbtcReceived);
+                    const pos = TokenRegistry.isWrbtc(loanToken) ? 'long' : 'short';
 
                     const addedLog = await dbCtrl.addLiquidate({
                         liquidatorAdr: liquidator,
@@ -148,6 +352,8 @@ class Liquidator {
                         pos: pos,
                         loanId: loanId,
                         profit: profit,
+                        slippage: slippage,
+                        swapStatus: swapStatus,
                         txHash: txHash
                     });
                     return addedLog;
@@ -9,8 +9,26 @@ import Liquidator from './liquidator';
 import Rollover from './rollover';
 import Arbitrage from './arbitrage';
 import C from './contract';
+import Rpc from './rpc';
 import Monitor from './monitor';
 import dbCtrl from './db';
+import TokenRegistry from './tokenRegistry';
+import TelegramBot from './telegramBot';
+import Metrics from './metrics';
+import Api from './api';
+import Auth from './auth';
+import NodePool from './nodePool';
+import Lifecycle from './lifecycle';
+import TxTracker from './txTracker';
+import Wallet from './wallet';
+import NonceManager from './nonceManager';
+import A from '../secrets/accounts';
+
+const modules = {
+    liquidator: Liquidator,
+    rollover: Rollover,
+    arbitrage: Arbitrage
+};
 
 class MainController {
     constructor() {
@@ -19,22 +37,121 @@ class MainController {
     }
 
     async start(io) { 
-        const b = await C.web3.eth.getBlockNumber();
+        this.io = io;
+        NodePool.start();
+        const b = await Rpc.execute(() => C.web3.eth.getBlockNumber(), "getBlockNumber");
         console.log("Connected to Rsk " + conf.network + "-network. Current block " + b);
         await dbCtrl.initDb(conf.db);
+        await TokenRegistry.init();
+
+        //hydrate the position list from the db, so the liquidator is not blind until the first sweep completed
+        const cached = await dbCtrl.getPositions();
+        for (let l of cached) this.positions[l.loanId] = l;
+        console.log(cached.length + " positions loaded from the db");
 
+        for (let w of await dbCtrl.getWalletStates()) {
+            NonceManager.restore(w.adr, w.nonce);
+            if (w.queue.length > 0) console.log("Unfinished " + w.type + " transactions of wallet " + w.adr + " on last shutdown: " + w.queue.join(", "));
+        }
+
+        Metrics.start(this.liquidations);
         PosScanner.start(this.positions, this.liquidations);
         if(conf.enableLiquidator) Liquidator.start(this.liquidations);
         if(conf.enableRollover) Rollover.start(this.positions);
         if(conf.enableArbitrage) Arbitrage.start();
         Monitor.start(this.positions, this.liquidations, PosScanner);
+        Api.start(this.positions, this.liquidations);
+        if(conf.errorBotTelegram!="") TelegramBot.start(this.positions, this.liquidations);
 
         io.on('connection', (socket) => {
             socket.on('getSignals', async (cb) => Monitor.getSignals(cb));
-            socket.on('getOpenPositionsDetails', async (cb) => Monitor.getOpenPositionsDetails(cb));
-            socket.on('getOpenLiquidationsDetails', async (cb) => Monitor.getOpenLiquidationsDetails(cb));
+            //optional first argument: query object with filter and page (see Monitor.queryPositions)
+            socket.on('getOpenPositionsDetails', async (query, cb) => typeof query === "function" ? Monitor.getOpenPositionsDetails(query) : Monitor.getOpenPositionsDetails(cb, query));
+            socket.on('getOpenLiquidationsDetails', async (query, cb) => typeof query === "function" ? Monitor.getOpenLiquidationsDetails(query) : Monitor.getOpenLiquidationsDetails(cb, query));
+            socket.on('getArbitrageResults', async (cb) => Monitor.getArbitrageResults(cb));
+            socket.on('getModuleState', (cb) => typeof cb === "function" && cb(Lifecycle.state));
+            socket.on('getRole', (cb) => typeof cb === "function" && cb(socket.role));
+
+            //operator only
+            socket.on('setModuleState', (module, action, cb) => {
+                if (!Auth.hasRole(socket.role, "operator")) return typeof cb === "function" && cb(Lifecycle.state);
+                this.setModuleState(module, action, cb);
+            });
+            socket.on('liquidate', (loanId, cb) => {
+                if (!Auth.hasRole(socket.role, "operator")) return typeof cb === "function" && cb({ error: "Forbidden" });
+                this.manualLiquidate(loanId, cb);
+            });
         });
     }
+
+    /**
+     * Graceful shutdown on SIGINT/SIGTERM
+     * 1. Stop the scanner, module loops, health check and telegram bot
+     * 2. Wait up to conf.shutdownTimeout seconds for the receipts of pending transactions
+     * 3. Store the unfinished queue entries and nonces of all wallets in the db
+     * 4. Close the socket server and the db
+     * The liquidation queue is not stored: it is rebuilt from the cached positions by the first scanner round after the restart
+     */
+    async shutdown(signal) {
+        if (this.shuttingDown) return;
+        this.shuttingDown = true;
+        console.log("Received " + signal + ". Shutting down");
+
+        PosScanner.stop();
+        for (let m in modules) modules[m].stop();
+        Monitor.stop();
+        TelegramBot.stop();
+
+        const pending = await TxTracker.waitForPending(conf.shutdownTimeout);
+        if (pending > 0) console.log(pending + " transactions still pending after " + conf.shutdownTimeout + " s");
+
+        for (let type in A) {
+            for (let w of A[type]) {
+                await dbCtrl.saveWalletState({
+                    adr: w.adr,
+                    type,
+                    nonce: NonceManager.nonces[w.adr.toLowerCase()],
+                    queue: Wallet.queue[type] && Wallet.queue[type][w.adr]
+                });
+            }
+        }
+
+        if (this.io) await new Promise(resolve => this.io.close(() => resolve()));
+        await dbCtrl.close();
+        NodePool.stop();
+        console.log("Shutdown completed");
+        process.exit(0);
+    }
+
+    /**
+     * Starts, stops, pauses or resumes the liquidator, rollover or arbitrage module
+     * Returns the new state of all modules
+     */
+    setModuleState(module, action, cb) {
+        if (modules[module] && ["start", "stop", "pause", "resume"].indexOf(action) != -1) {
+            console.log(action + " " + module + " requested by the client");
+            if (action == "start") modules[module].start(module == "liquidator" ? this.liquidations : this.positions);
+            else modules[module][action]();
+        }
+        if (typeof cb === "function") cb(Lifecycle.state);
+    }
+
+    /**
+     * Adds a loan to the liquidation queue on request of an operator, also if the margin is at the very edge.
+     * The liquidator picks it up in the next round
+     */
+    async manualLiquidate(loanId, cb) {
+        const l = await C.getPositionStatus(loanId);
+        let res;
+        if (!l || !l.loanId || l.principal == "0") res = { error: "Loan " + loanId + " not found or closed" };
+        else if (!(l.maxLiquidatable > 0)) res = { error: "Loan " + loanId + " can not be liquidated" };
+        else {
+            console.log("Manual liquidation of loan " + loanId + " requested by the client");
+            this.liquidations[l.loanId] = l;
+            res = { queued: true };
+        }
+        if (typeof cb === "function") cb(res);
+    }
 }
 
 export default new MainController;
\ No newline at end of file
@@ -0,0 +1,122 @@
+/**
+ * Prometheus metrics
+ * Counters and histograms are updated by the modules when something happens (scan completed, tx sent, rpc call returned),
+ * gauges reading the state of the watcher (queue length, balances, block heights) are collected on every scrape of /metrics.
+ * Wallet balances are refreshed at most every conf.metricsBalanceInterval seconds to keep the load on the node low.
+ */
+import client from 'prom-client';
+import A from '../secrets/accounts';
+import C from './contract';
+import TokenRegistry from './tokenRegistry';
+import Monitor from './monitor';
+import NodePool from './nodePool';
+import conf from '../config/config';
+
+class Metrics {
+    constructor() {
+        this.register = new client.Registry();
+        this.register.setDefaultLabels({ network: conf.network });
+        client.collectDefaultMetrics({ register: this.register, prefix: "watcher_" });
+        this.lastBalanceUpdate = 0;
+
+        const registers = [this.register];
+        this.scans = new client.Counter({ name: "watcher_scans_total", help: "Completed scanner rounds", labelNames: ["type"], registers });
+        this.scanPositions = new client.Gauge({ name: "watcher_scan_positions", help: "Active positions found by the last scan", registers });
+        this.scanDuration = new client.Histogram({ name: "watcher_scan_duration_seconds", help: "Duration of a scanner round", labelNames: ["type"], buckets: [1, 5, 10, 30, 60, 120, 300, 600], registers });
+        this.liquidationQueue = new client.Gauge({ name: "watcher_liquidation_queue_length", help: "Positions waiting for liquidation", registers });
+        this.liquidations = new client.Counter({ name: "watcher_liquidations_total", help: "Liquidations by status (simulation_failed, sent, succeeded, failed) and revert reason", labelNames: ["status", "reason"], registers });
+        this.rollovers = new client.Counter({ name: "watcher_rollovers_total", help: "Rollovers by status (sent, succeeded, failed)", labelNames: ["status"], registers });
+        this.arbitrageTrades = new client.Counter({ name: "watcher_arbitrage_trades_total", help: "Arbitrage trades by status (sent, succeeded, failed)", labelNames: ["status"], registers });
+        this.arbitrageGains = new client.Counter({ name: "watcher_arbitrage_gains_total", help: "Profit of the profitable arbitrage trades in units of the received token", labelNames: ["token"], registers });
+        this.arbitrageLosses = new client.Counter({ name: "watcher_arbitrage_losses_total", help: "Loss of the unprofitable arbitrage trades in units of the received token", labelNames: ["token"], registers });
+        this.walletBalance = new client.Gauge({ name: "watcher_wallet_balance", help: "Wallet balance per token", labelNames: ["type", "wallet", "token"], registers });
+        this.blockHeight = new client.Gauge({ name: "watcher_block_height", help: "Current block of the node", labelNames: ["node"], registers });
+        this.rpcLatency = new client.Histogram({ name: "watcher_rpc_duration_seconds", help: "Latency of rpc calls", labelNames: ["node", "method"], buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10], registers });
+        this.rpcErrors = new client.Counter({ name: "watcher_rpc_errors_total", help: "Failed rpc calls", labelNames: ["node", "method"], registers });
+    }
+
+    start(liquidations) {
+        this.liquidationsList = liquidations;
+        for (let n of NodePool.nodes) this.instrumentProvider(n.provider, n.url);
+    }
+
+    /**
+     * Wraps the send function of a web3 provider to measure the latency and count the errors of every rpc call
+     */
+    instrumentProvider(provider, node) {
+        const send = provider.send.bind(provider);
+        const p = this;
+
+        provider.send = (payload, callback) => {
+            const method = Array.isArray(payload) ? "batch" : payload.method;
+            const end = p.rpcLatency.startTimer({ node, method });
+            send(payload, (err, res) => {
+                end();
+                if (err || (res && res.error)) p.rpcErrors.inc({ node, method });
+                callback(err, res);
+            });
+        };
+        return provider;
+    }
+
+    /**
+     * Records a completed scanner round. type: sweep or events, started: timestamp in ms
+     */
+    scanCompleted(type, started, positions) {
+        this.scans.inc({ type });
+        this.scanDuration.observe({ type }, (Date.now() - started) / 1000);
+        this.scanPositions.set(positions);
+    }
+
+    /**
+     * Records the profit of an arbitrage trade net of gas. Counters can only increase, so losses are counted separately
+     */
+    arbitrageCompleted(token, profit) {
+        if (profit >= 0) this.arbitrageGains.inc({ token }, profit);
+        else this.arbitrageLosses.inc({ token }, -profit);
+    }
+
+    /**
+     * Returns the metrics in the prometheus text format
+     */
+    async getMetrics() {
+        await this.collect();
+        return this.register.metrics();
+    }
+
+    async collect() {
+        if (this.liquidationsList) this.liquidationQueue.set(Object.keys(this.liquidationsList).length);
+
+        //the block numbers are read by the health check of the node pool and the monitor
+        for (let n of NodePool.nodes) if (n.block != null) this.blockHeight.set({ node: n.url }, n.block);
+        if (Monitor.blockPublicNode != null) this.blockHeight.set({ node: conf.publicNodeProvider }, Monitor.blockPublicNode);
+
+        if (Date.now() - this.lastBalanceUpdate > conf.metricsBalanceInterval * 1000) {
+            this.lastBalanceUpdate = Date.now();
+            await this.collectBalances();
+        }
+    }
+
+    async collectBalances() {
+        for (let type in A) {
+            for (let w of A[type]) {
+                try {
+                    const bal = await C.getWalletBalance(w.adr);
+                    this.walletBalance.set({ type, wallet: w.adr, token: "rBtc" }, parseFloat(bal));
+
+                    for (let token of TokenRegistry.list()) {
+                        const tokenBal = await C.getWalletTokenBalance(w.adr, token.address);
+                        if (tokenBal === false) continue;
+                        this.walletBalance.set({ type, wallet: w.adr, token: token.symbol }, TokenRegistry.fromUnits(tokenBal, token.address));
+                    }
+                }
+                catch (e) {
+                    console.error("Error collecting the balances of wallet " + w.adr);
+                    console.error(e);
+                }
+            }
+        }
+    }
+}
+
+export default new Metrics();
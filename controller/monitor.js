@@ -1,12 +1,20 @@
 /**
- *  Accepts client requests and checks the health of the watcher in 60s interval
- *  If the system is not healthy it sends a message to the telegram group
+ *  Accepts client requests and checks the health of the watcher with the alert rules from the config (conf.alertRules)
+ *  Every rule is evaluated in its own interval and keeps a firing/resolved state.
+ *  A notification is sent only when the state of an alert changes.
  */
 const axios = require('axios');
-const Telegram = require('telegraf/telegram');
 import A from '../secrets/accounts';
 import C from './contract';
 import conf from '../config/config';
+import TokenRegistry from './tokenRegistry';
+import dbCtrl from './db';
+import Notifier from './notifier';
+import Rpc from './rpc';
+import NodePool from './nodePool';
+
+const defaultPageSize = 50;
+const maxPageSize = 500;
 
 class MonitorController {
 
@@ -14,14 +22,17 @@ class MonitorController {
         this.positions = positions;
         this.liquidations = liquidations;
         this.posScanner = posScanner;
+        this.alerts = {};
+        this.lastRuleCheck = {};
 
-        if(conf.errorBotTelegram!="") {
-            this.telegramBotWatcher = new Telegram(conf.errorBotTelegram);
-            let p = this;
-            setInterval(() => {
-               // p.checkSystem();
-            }, 1000 * 60);
-        }
+        let p = this;
+        this.interval = setInterval(() => {
+            p.checkSystem();
+        }, 1000 * 10);
+    }
+
+    stop() {
+        clearInterval(this.interval);
     }
 
     /**
@@ -45,25 +56,150 @@ class MonitorController {
 
     /** 
     * Internal check
+    * Evaluates all alert rules whose interval passed
     */
     async checkSystem() {
-        if (conf.network == "test") return;
+        if (this.checking) return;
+        this.checking = true;
+
+        for (let i = 0; i < conf.alertRules.length; i++) {
+            const rule = conf.alertRules[i];
+            const interval = (rule.interval || conf.alertInterval) * 1000;
+            if (this.lastRuleCheck[i] && Date.now() - this.lastRuleCheck[i] < interval) continue;
+            this.lastRuleCheck[i] = Date.now();
+
+            try {
+                const results = await this.evaluateRule(rule);
+                for (let r of results) this.updateAlert(rule.name + (r.key ? "-" + r.key : ""), r.firing, r.msg);
+            }
+            catch (e) {
+                console.error("Error checking alert rule " + rule.name);
+                console.error(e);
+            }
+        }
+        this.checking = false;
+    }
+
+    /**
+     * Returns a list of {key, firing, msg} for a rule. Rules covering several wallets return one result per wallet
+     */
+    async evaluateRule(rule) {
+        switch (rule.type) {
+            case "walletBalance": return await this.checkWalletBalance(rule);
+            case "blockLag": return await this.checkBlockLag(rule);
+            case "scannerAge": return this.checkScannerAge(rule);
+            case "liquidationQueue": return this.checkLiquidationQueue(rule);
+            case "failedTxRate": return await this.checkFailedTxRate(rule);
+            default:
+                console.error("Unknown alert rule type " + rule.type);
+                return [];
+        }
+    }
+
+    /**
+     * rule.wallets: liquidator, rollover or arbitrage, rule.token: rBtc or a token symbol of the registry, rule.min
+     */
+    async checkWalletBalance(rule) {
+        const token = rule.token == "rBtc" ? null : TokenRegistry.getBySymbol(rule.token);
+        if (rule.token != "rBtc" && !token) return [];
 
-        const sInfo = await this.getSignals();
-        for (let b in sInfo.accountInfoLiq) {
-            if (sInfo.accountInfoLiq[b] < 0.001)
-                this.telegramBotWatcher.sendMessage(conf.sovrynInternalTelegramId, "No money left for liquidator " + b + " on " + conf.network + " network");
+        const results = [];
+        for (let w of A[rule.wallets]) {
+            let bal;
+            if (!token) bal = await C.getWalletBalance(w.adr);
+            else {
+                bal = await C.getWalletTokenBalance(w.adr, token.address);
+                if (bal !== false) bal = TokenRegistry.fromUnits(bal, token.address);
+            }
+            if (bal === false) continue;
+
+            results.push({
+                key: w.adr,
+                firing: parseFloat(bal) < rule.min,
+                msg: rule.token + " balance of " + rule.wallets + "-wallet " + w.adr + " is " + bal + ", below " + rule.min
+            });
         }
+        return results;
+    }
 
-        for (let b in sInfo.accountInfoRoll) {
-            if (sInfo.accountInfoRoll[b] < 0.001)
-                this.telegramBotWatcher.sendMessage(conf.sovrynInternalTelegramId, "No money left for rollover-wallet " + b + " on " + conf.network + " network");
+    /**
+     * rule.max: max nr of blocks a node of the pool may lag behind the public node
+     * Every configured node is read directly, not through the failover of the pool: after a failover the active node
+     * may be the public node itself and the lag of the primary node would go unnoticed
+     */
+    async checkBlockLag(rule) {
+        const bPn = await this.getCurrentBlockPublicNode();
+        const results = [];
+        for (let n of NodePool.nodes) {
+            if (n.url == conf.publicNodeProvider) continue;
+            const bLn = await NodePool.getBlockNumber(n).catch(() => -1);
+            results.push({
+                key: n.url,
+                firing: bPn == -1 || bLn == -1 || bPn - bLn > rule.max,
+                msg: "Node " + n.url + " at block " + bLn + ", public node at block " + bPn + ". Max lag: " + rule.max
+            });
         }
+        return results;
+    }
+
+    /**
+     * rule.max: max seconds since the last completed scanner round
+     */
+    checkScannerAge(rule) {
+        const age = Math.round((Date.now() - this.posScanner.lastRound) / 1000);
+        return [{
+            firing: age > rule.max,
+            msg: "Last scanner round completed " + age + " s ago. Max: " + rule.max + " s"
+        }];
+    }
+
+    /**
+     * rule.max: max nr of positions waiting for liquidation
+     */
+    checkLiquidationQueue(rule) {
+        const l = this.getOpenLiquidations();
+        return [{
+            firing: l > rule.max,
+            msg: l + " positions waiting for liquidation. Max: " + rule.max
+        }];
+    }
+
+    /**
+     * rule.max: max % of failed or reverted transactions within the last rule.window seconds
+     * rule.minTx: min nr of transactions for the rate to be evaluated
+     */
+    async checkFailedTxRate(rule) {
+        const stats = await dbCtrl.getTxStats(rule.window);
+        const failed = (stats.failed || 0) + (stats.reverted || 0);
+        const total = failed + (stats.mined || 0);
+        if (total < rule.minTx) return [{ firing: false }];
 
-        for (let b in sInfo.accountInfoArb) {
-            if (sInfo.accountInfoArb[b] < 0.001)
-                this.telegramBotWatcher.sendMessage(conf.sovrynInternalTelegramId, "No money left for arbitrage-wallet " + b + " on " + conf.network + " network");
+        const rate = failed / total * 100;
+        return [{
+            firing: rate > rule.max,
+            msg: failed + " of " + total + " transactions failed within the last " + rule.window + " s. Max: " + rule.max + " %"
+        }];
+    }
+
+    /**
+     * Keeps the firing/resolved state of an alert and notifies on changes only
+     */
+    updateAlert(name, firing, msg) {
+        const wasFiring = !!this.alerts[name];
+        if (firing == wasFiring) return;
+
+        let text;
+        if (firing) {
+            this.alerts[name] = { since: Date.now(), msg };
+            text = "Alert " + name + " on " + conf.network + " network: " + msg;
+        }
+        else {
+            delete this.alerts[name];
+            text = "Resolved " + name + " on " + conf.network + " network";
         }
+        console.log(text);
+        if (firing) Notifier.warning("monitor", text);
+        else Notifier.info("monitor", text);
     }
 
     getCurrentBlockPublicNode() {
@@ -82,6 +218,7 @@ class MonitorController {
             }).then((response) => {
                 if (response.data && response.data.result) {
                     const res = parseInt(response.data.result)
+                    p.blockPublicNode = res;
                     resolve(res);
                 }
                 else resolve(-1);
@@ -96,7 +233,7 @@ class MonitorController {
 
     async getCurrentBlockPrivateNode() {
         try {
-            let bNr = await C.web3.eth.getBlockNumber();
+            let bNr = await Rpc.execute(() => C.web3.eth.getBlockNumber(), "getBlockNumber");
             bNr = parseInt(bNr);
             return bNr;
         }
@@ -112,7 +249,7 @@ class MonitorController {
 
         for (let a of accounts) {
             try {
-                let aInf = await C.web3.eth.getBalance(a.adr.toLowerCase());
+                let aInf = await Rpc.execute(() => C.web3.eth.getBalance(a.adr.toLowerCase()), "getBalance");
                 aInf = C.web3.utils.fromWei(aInf, 'Ether');
                 accBalances[a.adr] = parseFloat(aInf);
             }
@@ -125,21 +262,89 @@ class MonitorController {
         return accBalances;
     }
 
+    /**
+     * Live and paper arbitrage results per bought token, see dbCtrl.getArbitrageSummary
+     */
+    async getArbitrageResults(cb) {
+        const summary = await dbCtrl.getArbitrageSummary();
+        const symbol = (adr) => (TokenRegistry.get(adr) || { symbol: adr }).symbol;
+        const res = {
+            paperTrading: conf.arbitragePaperTrading,
+            live: summary.live.map(r => ({ ...r, token: symbol(r.token) })),
+            paper: summary.paper.map(r => ({ ...r, token: symbol(r.token) }))
+        };
+        if (typeof cb === "function") cb(res);
+        else return res;
+    }
+
     getOpenPositions() {
         return Object.keys(this.positions).length;
     }
 
-    //todo: add from-to, to be called from cliet
-    async getOpenPositionsDetails(cb) {
-        if (typeof cb === "function") cb(this.positions);
+    /**
+     * Returns all open positions or, if a query is given, the filtered page of positions (see queryPositions)
+     */
+    async getOpenPositionsDetails(cb, query) {
+        const res = query ? await this.queryPositions(this.positions, query) : this.positions;
+        if (typeof cb === "function") cb(res);
+        else return res;
     }
 
     getOpenLiquidations(cb) {
         return Object.keys(this.liquidations).length;
     }
-    //todo: add from-to, to be called from client
-    async getOpenLiquidationsDetails(cb) {
-        if (typeof cb === "function") cb(this.liquidations);
+
+    /**
+     * Returns all positions waiting for liquidation or, if a query is given, the filtered page of positions (see queryPositions)
+     */
+    async getOpenLiquidationsDetails(cb, query) {
+        const res = query ? await this.queryPositions(this.liquidations, query) : this.liquidations;
+        if (typeof cb === "function") cb(res);
+        else return res;
+    }
+
+    /**
+     * Filters and paginates a position list
+     * query: borrower, loanToken, minMargin and maxMargin (current margin in %), page (starting at 1) and limit
+     * Returns {total, page, limit, positions}
+     */
+    async queryPositions(list, query) {
+        const page = Math.max(1, parseInt(query.page) || 1);
+        const limit = Math.min(maxPageSize, Math.max(1, parseInt(query.limit) || defaultPageSize));
+        let positions = Object.values(list || {});
+
+        if (query.borrower) {
+            const loanIds = await this.getBorrowerLoanIds(query.borrower);
+            positions = positions.filter(p => loanIds[p.loanId]);
+        }
+        if (query.loanToken) positions = positions.filter(p => p.loanToken.toLowerCase() == query.loanToken.toLowerCase());
+
+        const margin = (p) => parseFloat(C.web3.utils.fromWei(p.currentMargin.toString(), "Ether"));
+        if (query.minMargin != null && query.minMargin !== "") positions = positions.filter(p => margin(p) >= parseFloat(query.minMargin));
+        if (query.maxMargin != null && query.maxMargin !== "") positions = positions.filter(p => margin(p) <= parseFloat(query.maxMargin));
+
+        return {
+            total: positions.length,
+            page,
+            limit,
+            positions: positions.slice((page - 1) * limit, page * limit)
+        };
+    }
+
+    /**
+     * The position list does not contain the borrower, so the loans of a borrower are read from the contract
+     * Returns {loanId: true}
+     */
+    async getBorrowerLoanIds(borrower) {
+        const loanIds = {};
+        const batch = 100;
+
+        for (let start = 0; ; start += batch) {
+            const loans = await C.call(C.contractSovryn.methods.getUserLoans(borrower, start, batch, 0, false, false), "getUserLoans");
+            for (let l of loans) loanIds[l.loanId] = true;
+            if (loans.length < batch) break;
+        }
+        return loanIds;
     }
 }
 
@@ -0,0 +1,110 @@
+/**
+ * Pool of rpc nodes, used as web3 provider
+ * The nodes of conf.nodes (http or websocket) are listed by priority. Calls are routed to the first healthy node,
+ * a node is unhealthy if it does not answer or lags more than conf.nodeMaxLag blocks behind the highest node.
+ * If a call fails with a connection error it is repeated on the next node (failover) and the node stays unhealthy until
+ * the next health check, which runs every conf.nodeHealthInterval seconds.
+ */
+import Web3 from 'web3';
+import conf from '../config/config';
+
+class NodePool {
+    constructor() {
+        const urls = conf.nodes && conf.nodes.length > 0 ? conf.nodes : [conf.nodeProvider];
+        this.nodes = urls.map((url, i) => ({
+            url,
+            priority: i,
+            provider: /^wss?:\/\//.test(url) ?
+                new Web3.providers.WebsocketProvider(url, { reconnect: { auto: true, delay: 5000 } }) :
+                new Web3.providers.HttpProvider(url),
+            healthy: true,
+            block: null,
+            lastError: null
+        }));
+        this.active = this.nodes[0];
+    }
+
+    start() {
+        this.checkNodes();
+        this.interval = setInterval(() => this.checkNodes(), conf.nodeHealthInterval * 1000);
+    }
+
+    stop() {
+        clearInterval(this.interval);
+        for (let n of this.nodes) if (n.provider.disconnect) n.provider.disconnect();
+    }
+
+    /**
+     * Healthy nodes by priority, followed by the unhealthy ones as last resort
+     */
+    getCandidates() {
+        return this.nodes.filter(n => n.healthy).concat(this.nodes.filter(n => !n.healthy));
+    }
+
+    /**
+     * Provider interface for web3
+     */
+    send(payload, callback) {
+        const candidates = this.getCandidates();
+        const p = this;
+
+        const tryNode = (i) => {
+            const node = candidates[i];
+            node.provider.send(payload, (err, res) => {
+                if (err) {
+                    p.markUnhealthy(node, err);
+                    if (i + 1 < candidates.length) return tryNode(i + 1);
+                }
+                else p.setActive(node);
+                callback(err, res);
+            });
+        };
+        tryNode(0);
+    }
+
+    sendAsync(payload, callback) {
+        this.send(payload, callback);
+    }
+
+    /**
+     * Reads the block number of every node and flags nodes which fail or lag behind
+     */
+    async checkNodes() {
+        await Promise.all(this.nodes.map(n => this.getBlockNumber(n)
+            .then(b => { n.block = b; n.lastError = null; })
+            .catch(e => { n.block = null; n.lastError = e.message || String(e); })));
+
+        const maxBlock = Math.max(...this.nodes.map(n => n.block || 0));
+        for (let n of this.nodes) {
+            const healthy = n.block != null && maxBlock - n.block <= conf.nodeMaxLag;
+            if (healthy != n.healthy) console.log("Node " + n.url + " is " + (healthy ? "healthy again" : "unhealthy") + ". Block " + n.block + ", highest block " + maxBlock + (n.lastError ? ", error: " + n.lastError : ""));
+            n.healthy = healthy;
+        }
+        this.setActive(this.getCandidates()[0]);
+    }
+
+    getBlockNumber(node) {
+        return new Promise((resolve, reject) => {
+            node.provider.send({ jsonrpc: "2.0", method: "eth_blockNumber", params: [], id: Date.now() }, (err, res) => {
+                if (err) return reject(err);
+                if (!res || res.error) return reject(new Error(res && res.error ? res.error.message : "empty response"));
+                resolve(parseInt(res.result));
+            });
+        });
+    }
+
+    markUnhealthy(node, err) {
+        if (!node.healthy) return;
+        node.healthy = false;
+        node.lastError = err.message || String(err);
+        console.error("Rpc call to node " + node.url + " failed: " + node.lastError);
+    }
+
+    setActive(node) {
+        if (!node || node == this.active) return;
+        console.log("Switching rpc node from " + this.active.url + " to " + node.url);
+        this.active = node;
+    }
+}
+
+export default new NodePool();
@@ -0,0 +1,122 @@
+/**
+ * Nonce manager
+ * Owns the nonce sequence of every watcher wallet. Nonces are handed out locally, so several transactions of the same wallet
+ * within one round get consecutive nonces instead of racing for the pending transaction count of the node.
+ * The sequence is re-synchronised with the node when a gap is detected or the node rejects a nonce.
+ * The nonces stored on the last shutdown are restored on start: transactions sent shortly before the shutdown
+ * may not be known yet by the node the first sync reads the transaction count from.
+ */
+import A from '../secrets/accounts';
+import C from './contract';
+import Rpc from './rpc';
+
+class NonceManager {
+    constructor() {
+        this.nonces = {};
+        this.pending = {};
+        this.syncing = {};
+        this.restored = {};
+
+        for (let type in A) for (let w of A[type]) this.pending[w.adr.toLowerCase()] = [];
+    }
+
+    /**
+     * Returns the next nonce for the wallet and marks it as pending
+     */
+    async getNonce(adr) {
+        adr = adr.toLowerCase();
+        if (this.nonces[adr] == null) await this.sync(adr);
+
+        const nonce = this.nonces[adr]++;
+        if (!this.pending[adr]) this.pending[adr] = [];
+        this.pending[adr].push(nonce);
+        return nonce;
+    }
+
+    /**
+     * Number of handed out nonces which are not mined yet
+     */
+    getPendingCount(adr) {
+        const pending = this.pending[adr.toLowerCase()];
+        return pending ? pending.length : 0;
+    }
+
+    /**
+     * Called when the transaction with this nonce was mined or finally dropped
+     */
+    release(adr, nonce) {
+        adr = adr.toLowerCase();
+        if (!this.pending[adr]) return;
+        const index = this.pending[adr].indexOf(nonce);
+        if (index > -1) this.pending[adr].splice(index, 1);
+    }
+
+    /**
+     * Called when a transaction could not be sent. The nonce stays unused, so the following ones can not be mined
+     * -> resync with the node to fill the gap with the next transaction
+     */
+    async handleError(adr, nonce, err) {
+        console.error("Nonce " + nonce + " of wallet " + adr + " was not used. " + (err && err.message ? err.message : ""));
+        this.release(adr, nonce);
+        await this.sync(adr);
+    }
+
+    /**
+     * Sets the nonce stored on the last shutdown. It is used by the first sync of the wallet if it is ahead of the node,
+     * later syncs (gaps, rejected nonces) rely on the node only
+     */
+    restore(adr, nonce) {
+        if (nonce == null) return;
+        this.restored[adr.toLowerCase()] = nonce;
+    }
+
+    /**
+     * Sets the next nonce of the wallet to the pending transaction count of the node.
+     * Concurrent calls for the same wallet wait for the running request.
+     */
+    sync(adr) {
+        adr = adr.toLowerCase();
+        if (this.syncing[adr]) return this.syncing[adr];
+
+        const p = this;
+        this.syncing[adr] = Rpc.execute(() => C.web3.eth.getTransactionCount(adr, 'pending'), "getTransactionCount")
+            .then((count) => {
+                const restored = p.restored[adr];
+                delete p.restored[adr];
+                if (restored > count) {
+                    console.log("Nonce of wallet " + adr + " restored from the last shutdown: " + restored + ", node: " + count);
+                    count = restored;
+                }
+                if (p.nonces[adr] != null && p.nonces[adr] != count) {
+                    console.log("Nonce of wallet " + adr + " out of sync. Local: " + p.nonces[adr] + ", node: " + count);
+                }
+                p.nonces[adr] = count;
+                return count;
+            })
+            .catch((err) => {
+                console.error("Error loading the transaction count of wallet " + adr);
+                console.error(err);
+                throw err;
+            })
+            .finally(() => delete p.syncing[adr]);
+        return this.syncing[adr];
+    }
+
+    /**
+     * Detects gaps: if no transaction of the wallet is pending but the node expects a different nonce
+     * than the local one, the local sequence is reset
+     */
+    async checkGaps() {
+        for (let adr in this.nonces) {
+            if (this.getPendingCount(adr) > 0) continue;
+            try {
+                await this.sync(adr);
+            }
+            catch (e) {
+                //error is logged in sync, try again next round
+            }
+        }
+    }
+}
+
+export default new NonceManager();
@@ -0,0 +1,87 @@
+/**
+ * Notifier
+ * Sends notifications of the watcher modules to the channels configured in conf.notifications.
+ * Every channel implements isEnabled() and send({module, severity, text}).
+ * The routes decide by module (liquidator, rollover, arbitrage, monitor) and severity (info, warning, error) which channels receive a message.
+ */
+import conf from '../config/config';
+import TelegramChannel from './channels/telegram';
+import WebhookChannel from './channels/webhook';
+import SlackChannel from './channels/slack';
+import EmailChannel from './channels/email';
+
+const channelTypes = {
+    telegram: TelegramChannel,
+    webhook: WebhookChannel,
+    slack: SlackChannel,
+    email: EmailChannel
+};
+
+class Notifier {
+    constructor() {
+        this.init(conf.notifications);
+    }
+
+    /**
+     * Creates the channels. Channels without credentials/url are disabled.
+     */
+    init(settings) {
+        this.routes = settings.routes;
+        this.channels = {};
+
+        for (let name in settings.channels) {
+            const s = settings.channels[name];
+            const Channel = channelTypes[s.type];
+            if (!Channel) {
+                console.error("Unknown notification channel type " + s.type);
+                continue;
+            }
+            const channel = new Channel(s);
+            if (channel.isEnabled()) this.channels[name] = channel;
+        }
+    }
+
+    /**
+     * Returns the names of the channels receiving messages of this module and severity
+     */
+    getChannels(module, severity) {
+        const names = {};
+        for (let r of this.routes) {
+            if (r.modules.indexOf("*") == -1 && r.modules.indexOf(module) == -1) continue;
+            if (r.severities.indexOf("*") == -1 && r.severities.indexOf(severity) == -1) continue;
+            for (let c of r.channels) if (this.channels[c]) names[c] = true;
+        }
+        return Object.keys(names);
+    }
+
+    /**
+     * Sends the message to all routed channels. Errors of a channel are logged and don't affect the others
+     */
+    notify(module, severity, text) {
+        const msg = { module, severity, text };
+
+        return Promise.all(this.getChannels(module, severity).map(async (name) => {
+            try {
+                await this.channels[name].send(msg);
+            }
+            catch (e) {
+                console.error("Error sending notification to channel " + name);
+                console.error(e.message || e);
+            }
+        }));
+    }
+
+    info(module, text) {
+        return this.notify(module, "info", text);
+    }
+
+    warning(module, text) {
+        return this.notify(module, "warning", text);
+    }
+
+    error(module, text) {
+        return this.notify(module, "error", text);
+    }
+}
+
+export default new Notifier();
@@ -3,37 +3,52 @@
  * Rollover = extend deadline and pay interest
  */
 import C from './contract';
+import Rpc from './rpc';
 import U from '../util/helper';
 import Wallet from './wallet';
+import TxTracker from './txTracker';
+import TokenRegistry from './tokenRegistry';
 import conf from '../config/config';
 import abiDecoder from 'abi-decoder';
 import dbCtrl from './db';
+import Lifecycle from './lifecycle';
+import Metrics from './metrics';
+
+class Rollover extends Lifecycle {
+    constructor() {
+        super("rollover");
+    }
 
-class Rollover {
     start(positions) {
-        this.positions = positions;
-        this.checkPositionsExpiration();
+        if (positions) this.positions = positions;
+        super.start();
+    }
+
+    run() {
+        return this.checkPositionsExpiration();
     }
 
     /**
      * Wrapper for rolling over open positions
-     * Only rollover if amount > threshold
-     * todo: convert btc amount considering real btc price and take from config file
+     * Only rollover expired positions if profitable or whitelisted
      */
     async checkPositionsExpiration() {
-        while (true) {
+        while (!this.isStopped()) {
+            if (this.isPaused()) {
+                await U.wasteTime(conf.rolloverScanInterval);
+                continue;
+            }
             console.log("started checking expired positions");
 
             for (let p in this.positions) { 
-                const amn = C.web3.utils.fromWei(this.positions[p].collateral.toString(), "Ether");
-                if(this.positions[p].collateralToken.toLowerCase() == conf.docToken.toLowerCase() && amn < 2) continue;
-                else if(this.positions[p].collateralToken.toLowerCase() == conf.testTokenRBTC.toLowerCase() && amn < 0.00012) continue; 
-               
                 if (this.positions[p].endTimestamp < Date.now() / 1000) {
+                    if (!await this.isProfitable(this.positions[p])) continue;
+
+                    const amn = TokenRegistry.fromUnits(this.positions[p].collateral, this.positions[p].collateralToken);
                     console.log("Rollover " + this.positions[p].loanId+" pos size: "+amn+" collatralToken: "+this.positions[p].collateralToken);   
                     const w = await Wallet.getWallet("rollover", 0.001, "rBtc");
-                    let nonce = await C.web3.eth.getTransactionCount(w.adr, 'pending');
-                    const tx = await this.rollover(this.positions[p].loanId, w.adr, nonce);
+                    if (!w) continue;
+                    const tx = await this.rollover(this.positions[p].loanId, w.adr);
                     if (tx) await this.addTx(tx);
                 }
             }
@@ -42,22 +57,64 @@ class Rollover {
         }
     }
 
+    /**
+     * Returns true if the position is whitelisted or the expected rollover reward exceeds the tx cost by rolloverMinProfit.
+     * Positions below the min threshold of the collateral token (token registry) are skipped right away.
+     * Position size, reward and cost are converted to Btc with the price feed:
+     * reward = 0.1% of the position size + 2 * gas cost at the fast gas price, cost = gas cost at the current gas price
+     */
+    async isProfitable(pos) {
+        if (conf.rolloverWhitelist.indexOf(pos.loanId) != -1) return true;
+
+        const token = TokenRegistry.get(pos.collateralToken);
+        if (!token) {
+            console.error("Unknown collateral token " + pos.collateralToken + " of loan " + pos.loanId);
+            return false;
+        }
+        if (TokenRegistry.fromUnits(pos.collateral, pos.collateralToken) < token.minThreshold) return false;
+
+        try {
+            let size = pos.collateral.toString();
+            if (!TokenRegistry.isWrbtc(pos.collateralToken)) {
+                size = await C.call(C.contractPriceFeed.methods.queryReturn(pos.collateralToken, conf.testTokenRBTC, size), "queryReturn");
+            }
+            size = parseFloat(C.web3.utils.fromWei(size.toString(), "Ether"));
+
+            const fastGasPrice = await C.call(C.contractPriceFeed.methods.getFastGasPrice(conf.testTokenRBTC), "getFastGasPrice");
+            const gasPrice = await Rpc.execute(() => C.web3.eth.getGasPrice(), "getGasPrice");
+            const reward = size * 0.001 + 2 * parseFloat(C.web3.utils.fromWei(fastGasPrice.toString(), "Ether")) * conf.rolloverGas;
+            const cost = parseFloat(C.web3.utils.fromWei(gasPrice.toString(), "Ether")) * conf.rolloverGas;
+
+            console.log("Rollover of loan " + pos.loanId + ": size " + size + " Btc, expected reward " + reward + " Btc, tx cost " + cost + " Btc");
+            return reward - cost >= conf.rolloverMinProfit;
+        }
+        catch (e) {
+            console.error("Error estimating the rollover reward of loan " + pos.loanId);
+            console.error(e);
+            return false;
+        }
+    }
+
     /**
      * Tries to rollover a position
      */
-    rollover(loanId, wallet, nonce) {
+    rollover(loanId, wallet) {
         return new Promise(async (resolve) => {
             const loanDataBytes = "0x"; //need to be empty
             
-            C.contractSovryn.methods.rollover(loanId, loanDataBytes)
-                .send({ from: wallet, gas: 2500000, nonce })
+            const data = C.contractSovryn.methods.rollover(loanId, loanDataBytes).encodeABI();
+
+            Metrics.rollovers.inc({ status: "sent" });
+            TxTracker.send("rollover", { from: wallet, to: conf.sovrynProtocolAdr, data, gas: 2500000 })
                 .then((tx) => {
                     console.log("Rollover Transaction successful: "+tx.transactionHash);
+                    Metrics.rollovers.inc({ status: "succeeded" });
                     resolve(tx.transactionHash);
                 })
                 .catch((err) => {
                     console.error("Error in rolling over position "+loanId);
                     console.error(err);
+                    Metrics.rollovers.inc({ status: "failed" });
                     resolve();
                 });
         });
@@ -65,7 +122,7 @@ class Rollover {
 
     async addTx(txHash) {
         try {
-            const receipt = await C.web3.eth.getTransactionReceipt(txHash);
+            const receipt = await Rpc.execute(() => C.web3.eth.getTransactionReceipt(txHash), "getTransactionReceipt");
 
             if (receipt && receipt.logs) {
                 const logs = abiDecoder.decodeLogs(receipt.logs) || [];
@@ -0,0 +1,86 @@
+/**
+ * Resilience layer for read-only rpc calls, used by the Contract controller
+ * - every call is limited to conf.rpcTimeout seconds
+ * - transient errors (timeout, network, rate limited, the random "VM execution error" of the rsk node) are retried
+ *   up to conf.rpcRetries times with exponential backoff starting at conf.rpcBackoff seconds
+ * - all calls share a rate limiter of conf.rpcRateLimit requests per second
+ * Failed calls reject with an RpcError whose type tells the cause of the failure.
+ */
+import U from '../util/helper';
+import conf from '../config/config';
+
+//error types by pattern of the error message, first match wins
+const errorTypes = [
+    { type: "rateLimited", pattern: /\b429\b|too many requests|rate limit/i, transient: true },
+    { type: "network", pattern: /CONNECTION ERROR|Invalid JSON RPC response|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|socket hang up|connection not open|\b50[234]\b/i, transient: true },
+    { type: "revert", pattern: /revert(ed)?[: ]+\S|reverted with reason/i, transient: false },
+    { type: "vm", pattern: /VM execution error/i, transient: true },
+    { type: "invalid", pattern: /invalid (argument|params|address|number)|number-to-bn|not a valid/i, transient: false }
+];
+
+export class RpcError extends Error {
+    constructor(type, label, cause) {
+        super(label + " failed (" + type + "): " + (cause && cause.message ? cause.message : cause));
+        this.name = "RpcError";
+        this.type = type;
+        this.label = label;
+        this.cause = cause;
+        this.transient = type == "timeout" || !!(errorTypes.find(e => e.type == type) || {}).transient;
+    }
+}
+
+class Rpc {
+    constructor() {
+        this.nextSlot = 0;
+    }
+
+    /**
+     * Executes fn (returning a promise of the rpc call) with timeout, retries and rate limit
+     * @param label name of the call for logging, eg "getLoan"
+     */
+    async execute(fn, label) {
+        for (let attempt = 0; ; attempt++) {
+            await this.throttle();
+            try {
+                return await this.withTimeout(fn(), label);
+            }
+            catch (e) {
+                const err = e instanceof RpcError ? e : new RpcError(this.classify(e), label, e);
+                if (!err.transient || attempt >= conf.rpcRetries) throw err;
+
+                const delay = conf.rpcBackoff * Math.pow(2, attempt);
+                console.log(err.message + ". Retry " + (attempt + 1) + " of " + conf.rpcRetries + " in " + delay + " s");
+                await U.wasteTime(delay);
+            }
+        }
+    }
+
+    /**
+     * Returns the error type of an rpc error, "unknown" if it does not match any of errorTypes
+     */
+    classify(err) {
+        const msg = err && err.message ? err.message : String(err);
+        const known = errorTypes.find(e => e.pattern.test(msg));
+        return known ? known.type : "unknown";
+    }
+
+    withTimeout(promise, label) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new RpcError("timeout", label, "no response within " + conf.rpcTimeout + " s")), conf.rpcTimeout * 1000);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Waits for the next free slot of the global rate limit
+     */
+    async throttle() {
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlot);
+        this.nextSlot = slot + 1000 / conf.rpcRateLimit;
+        if (slot > now) await U.wasteTime((slot - now) / 1000);
+    }
+}
+
+export default new Rpc();
@@ -6,34 +6,61 @@
 import C from './contract';
 import U from '../util/helper';
 import conf from '../config/config';
+import dbCtrl from './db';
+import Metrics from './metrics';
+import Rpc from './rpc';
 
+//protocol events which change the state of a loan
+const loanEvents = ["Borrow", "Trade", "LoanSwap", "CloseWithSwap", "CloseWithDeposit", "Liquidate"];
 
 class PositionScanner {
     /**
      * Empty positions and liquidations array is assigned from the main-controller.
      * This allows the liquidator controller to manipulate the liquidations list.
+     * Positions hydrated from the db cache are checked for liquidation right away.
      */
     start(positions, liquidations) {
         this.positions=positions;
         this.positionsTmp = {};
         this.liquidations=liquidations;
-        this.processPositions();
+        this.lastRound = Date.now();
+        this.stopped = false;
+        for (let k in this.positions) this.checkLiquidation(this.positions[k]);
+        if (conf.scannerMode == "events") this.processEvents();
+        else this.processPositions();
     }
 
     /**
      * Start endless loop by loading all open positions from the contract until the end is reached, then start from scratch
      * It is necessary to re-read from position 0 on every run because the position of open positions can change on the contract.
-     * Poosible optimization: parse the event logs after reaching current state instead of quering "getActiveLoans".
-     * 
-     * The performance of this overhead need to be tested and optimized if needed
+     * See processEvents for the optimized version parsing the event logs after reaching current state.
      */
     async processPositions() {
         console.log("Start processing active positions in "+conf.scannerInterval+" s interval");
 
+        while (!this.stopped) {
+            const started = Date.now();
+            await this.sweepPositions();
+            console.log(Object.keys(this.positions).length+" active positions found");
+            Metrics.scanCompleted("sweep", started, Object.keys(this.positions).length);
+            this.lastRound = Date.now();
+            //waiting time between rounds like specified
+            await U.wasteTime(conf.scannerInterval);
+        }
+    }
+
+    /**
+     * Loads all open positions from the contract in batches into positionsTmp, then replaces the position list
+     * and the db cache.
+     * Returns the block number at the start of the sweep or false
+     */
+    async sweepPositions() {
+        const blockNr = await this.getCurrentBlock();
         let from = 0;
         let to = conf.nrOfProcessingPositions;
 
         while (true) {
+            if (this.stopped) return false;
             //active positions need to be read in batches.
             const pos = await this.loadActivePositions(from, to);
             if (pos && pos.length>0) {
@@ -46,20 +73,16 @@ class PositionScanner {
             }
             //empty array -> read all loans -> done
             else if(pos && pos.length==0) {
-                console.log(Object.keys(this.positions).length+" active positions found");
-                //start from 0
-                from = 0;
-                to = conf.nrOfProcessingPositions;
                 //delete the position list and copy updated positions from positionsTmp. Causes an inconsitency for about 0.1-1second
                 for (let k in this.positions) if (this.positions.hasOwnProperty(k)) delete this.positions[k];
                 for (let k in this.positionsTmp) {
                     if (this.positionsTmp.hasOwnProperty(k)) this.positions[k] = this.positionsTmp[k];
                 }
                 this.positionsTmp={};
-                //waiting time between rounds like specified
-                await U.wasteTime(conf.scannerInterval);
+                if (blockNr !== false) await dbCtrl.savePositions(this.positions, blockNr);
+                return blockNr;
             }
-            //error retrieving pos for this interval (node error). happens occasionally (1 out of 100 runs). reason unkown
+            //error retrieving pos for this interval (node error), even after the retries of the rpc layer. happens occasionally (1 out of 100 runs). reason unkown
             //Error: Returned error: VM execution error: transaction reverted
             else {
                 console.error("Error retrieving pos");
@@ -72,29 +95,136 @@ class PositionScanner {
         }
     }
 
+    /**
+     * Incremental scanner: bootstraps once with a complete sweep, afterwards keeps the position list current by
+     * parsing the loan events of new blocks and refreshing only the touched loans.
+     * The margin of a loan also moves with the price without emitting an event, therefore loans close to the maintenance
+     * margin are refreshed every round and a complete sweep is done every eventScannerResyncInterval seconds.
+     */
+    async processEvents() {
+        console.log("Start processing loan events in "+conf.eventScannerInterval+" s interval");
+
+        let lastBlock, lastSweep;
+
+        while (!this.stopped) {
+            let started = Date.now();
+            if (!lastSweep || Date.now() - lastSweep > conf.eventScannerResyncInterval * 1000) {
+                const b = await this.sweepPositions();
+                if (b === false) {
+                    await U.wasteTime(conf.eventScannerInterval);
+                    continue;
+                }
+                console.log(Object.keys(this.positions).length+" active positions found at block "+b);
+                Metrics.scanCompleted("sweep", started, Object.keys(this.positions).length);
+                started = Date.now();
+                lastBlock = b;
+                lastSweep = Date.now();
+            }
+
+            const current = await this.getCurrentBlock();
+            if (current !== false && current > lastBlock) {
+                const to = Math.min(current, lastBlock + conf.eventScannerBlockRange);
+                const loanIds = await this.loadTouchedLoans(lastBlock + 1, to);
+                if (loanIds) {
+                    for (let loanId of loanIds) await this.refreshPosition(loanId, to);
+                    lastBlock = to;
+                }
+            }
+
+            for (let loanId of this.getPositionsAtRisk()) await this.refreshPosition(loanId, lastBlock);
+            this.lastRound = Date.now();
+            Metrics.scanCompleted("events", started, Object.keys(this.positions).length);
+
+            await U.wasteTime(conf.eventScannerInterval);
+        }
+    }
+
+    /**
+     * Stops the scanner loop after the current round
+     */
+    stop() {
+        this.stopped = true;
+    }
+
+    /**
+     * Returns the current block number or false
+     */
+    async getCurrentBlock() {
+        try {
+            return await Rpc.execute(() => C.web3.eth.getBlockNumber(), "getBlockNumber");
+        }
+        catch (e) {
+            console.error("Error retrieving current block");
+            console.error(e.message);
+            return false;
+        }
+    }
+
+    /**
+     * Returns the ids of all loans which were changed by a loan event between block from and to (inclusive) or false
+     */
+    async loadTouchedLoans(from, to) {
+        try {
+            const events = await Rpc.execute(() => C.contractSovryn.getPastEvents('allEvents', { fromBlock: from, toBlock: to }), "getPastEvents");
+            const loanIds = {};
+            for (let ev of events || []) {
+                if (loanEvents.indexOf(ev.event) == -1 || !ev.returnValues || !ev.returnValues.loanId) continue;
+                loanIds[ev.returnValues.loanId] = true;
+            }
+            return Object.keys(loanIds);
+        }
+        catch (e) {
+            console.error("Error receiving loan events from block "+from+" to "+to);
+            console.error(e.message);
+            return false;
+        }
+    }
+
+    /**
+     * Returns the ids of all positions with a margin close to the maintenance margin
+     */
+    getPositionsAtRisk() {
+        const atRisk = [];
+        for (let k in this.positions) {
+            const l = this.positions[k];
+            if (parseFloat(l.currentMargin) < parseFloat(l.maintenanceMargin) * conf.eventScannerRiskMargin) atRisk.push(k);
+        }
+        return atRisk;
+    }
+
+    /**
+     * Reloads a single loan from the contract and updates the position and liquidation list as well as the db cache.
+     * Closed loans (principal 0) are removed from both lists.
+     */
+    async refreshPosition(loanId, blockNr) {
+        const l = await C.getPositionStatus(loanId);
+        if (!l) return;
+
+        if (!l.loanId || l.principal == "0") {
+            delete this.positions[loanId];
+            delete this.liquidations[loanId];
+            await dbCtrl.removePosition(loanId);
+            return;
+        }
+        this.positions[loanId] = l;
+        this.checkLiquidation(l);
+        await dbCtrl.savePosition(l, blockNr);
+    }
+
     /**
      * Loading active positions from the contract
      * Returns an array or false
      */
-    loadActivePositions(from, to) {
+    async loadActivePositions(from, to) {
         //console.log("loading active positions from id " + from + " to " + to);
-        return new Promise(resolve => {
-            try {
-                C.contractSovryn.methods.getActiveLoans(from, to, false).call((error, res) => {
-                    if (error) {
-                        console.error("Error receiving user loans from "+from+" to: "+to);
-                        console.error(error);
-                        return resolve(false);
-                    }
-                    resolve(res)
-                });
-            }
-            catch (e) {
-                console.error("Error on retrieving active loans from "+from+" to: "+to);
-                console.error(e);
-                resolve(false);
-            }
-        });
+        try {
+            return await C.call(C.contractSovryn.methods.getActiveLoans(from, to, false), "getActiveLoans");
+        }
+        catch (e) {
+            console.error("Error receiving user loans from "+from+" to: "+to);
+            console.error(e.message);
+            return false;
+        }
     }
 
     /**
@@ -106,13 +236,24 @@ class PositionScanner {
             if (!l.loanId) continue;
 
             this.positionsTmp[l.loanId] = l;
+            this.checkLiquidation(l);
+        }
+    }
 
-            if(l.currentMargin<l.maintenanceMargin*1.02) {
-                console.log("Margin call for  "+l.loanId+". Current margin: "+C.web3.utils.fromWei(l.currentMargin.toString(), "Ether"));
-                console.log("Liquidation will happen at: "+C.web3.utils.fromWei((l.maintenanceMargin*0.99).toString(), "Ether"));
-            }
-            //If liquidating at the very edge we often get errors if the price bounces back
-            if(l.maxLiquidatable>0 && l.currentMargin<l.maintenanceMargin*0.99) this.liquidations[l.loanId] = l;
+    /**
+     * Adds a position to the liquidations queue if it is ready for liquidation and removes it if it can not be liquidated anymore,
+     * eg. because the margin recovered. Positions at the edge stay queued, they may have been added manually
+     */
+    checkLiquidation(l) {
+        if(l.currentMargin<l.maintenanceMargin*1.02) {
+            console.log("Margin call for  "+l.loanId+". Current margin: "+C.web3.utils.fromWei(l.currentMargin.toString(), "Ether"));
+            console.log("Liquidation will happen at: "+C.web3.utils.fromWei((l.maintenanceMargin*0.99).toString(), "Ether"));
+        }
+        //If liquidating at the very edge we often get errors if the price bounces back
+        if(l.maxLiquidatable>0 && l.currentMargin<l.maintenanceMargin*0.99) this.liquidations[l.loanId] = l;
+        else if(!(l.maxLiquidatable>0) && this.liquidations[l.loanId]) {
+            console.log("Loan " + l.loanId + " can not be liquidated anymore. Removed from the liquidation queue");
+            delete this.liquidations[l.loanId];
         }
     }
 }
@@ -0,0 +1,63 @@
+/**
+ * Slippage protection for swaps on the amm
+ * The expected return of a swap is taken from the amm (rateByPath) and compared to the oracle price (price feed).
+ * The minimum return of the swap is derived from the oracle price and the maximum slippage configured for the token pair.
+ * If the amm quote is already worse than the oracle by more than the tolerance, the swap is retried later or aborted.
+ */
+import C from './contract';
+import U from '../util/helper';
+import conf from '../config/config';
+
+class Swap {
+    /**
+     * Returns the max slippage in % for the token pair, the default if the pair is not configured
+     */
+    getMaxSlippage(sourceToken, destToken) {
+        const pair = sourceToken.toLowerCase() + "-" + destToken.toLowerCase();
+        if (conf.maxSlippage[pair] != null) return conf.maxSlippage[pair];
+        return conf.maxSlippage.default;
+    }
+
+    /**
+     * Slippage in % of amount compared to the expected amount. Negative if amount is better than expected
+     * Amounts in wei
+     */
+    calcSlippage(expected, amount) {
+        const exp = C.web3.utils.toBN(expected.toString());
+        if (exp.isZero()) return 0;
+        const diff = exp.sub(C.web3.utils.toBN(amount.toString()));
+        return diff.mul(C.web3.utils.toBN(1000000)).div(exp).toNumber() / 10000;
+    }
+
+    /**
+     * Returns {minReturn, quote, oracle} for swapping amount (wei) of sourceToken along path or false if the amm quote
+     * is worse than the oracle price by more than the max slippage after all retries
+     */
+    async getMinReturn(path, sourceToken, destToken, amount, retries = 0) {
+        const maxSlippage = this.getMaxSlippage(sourceToken, destToken);
+
+        for (let i = 0; i <= retries; i++) {
+            if (i > 0) await U.wasteTime(conf.swapRetryInterval);
+            try {
+                const quote = await C.call(C.contractSwaps.methods["rateByPath"](path, amount), "rateByPath");
+                const oracle = await C.call(C.contractPriceFeed.methods["queryReturn"](sourceToken, destToken, amount), "queryReturn");
+                const slippage = this.calcSlippage(oracle, quote);
+                console.log("Swap quote " + quote + ", oracle " + oracle + ", slippage " + slippage + " %, max " + maxSlippage + " %");
+
+                if (slippage <= maxSlippage) {
+                    //max slippage in 1/100 %
+                    const minReturn = C.web3.utils.toBN(oracle).mul(C.web3.utils.toBN(Math.round((100 - maxSlippage) * 100))).div(C.web3.utils.toBN(10000));
+                    return { minReturn: minReturn.toString(), quote, oracle };
+                }
+            }
+            catch (e) {
+                console.error("Error loading the swap quote for src " + sourceToken + ", dest " + destToken + " and amount: " + amount);
+                console.error(e);
+            }
+        }
+        console.error("Swap of " + amount + " src " + sourceToken + " to dest " + destToken + " aborted. Slippage too high");
+        return false;
+    }
+}
+
+export default new Swap();
@@ -0,0 +1,138 @@
+/**
+ * Telegram bot commands
+ * Answers operator commands in the telegram group. Only users listed in conf.telegramAdmins are allowed to use them.
+ * /status - block heights, wallet balances and queue sizes
+ * /loan <id> - loan details and margin
+ * /liquidations - positions waiting for liquidation
+ * /pause <module>, /resume <module> - toggle liquidator, rollover or arbitrage
+ * /history <liquidator|rollover|arbitrage|arbitrageCycle|paperTrade> [n] - last n rows of the db table, n: 1-50, default 5
+ */
+const Telegraf = require('telegraf');
+import C from './contract';
+import conf from '../config/config';
+import Monitor from './monitor';
+import Liquidator from './liquidator';
+import Rollover from './rollover';
+import Arbitrage from './arbitrage';
+import dbCtrl from './db';
+import Lifecycle from './lifecycle';
+
+const maxMessageLength = 4000; //telegram limit is 4096 characters
+const maxHistoryRows = 50;
+
+const modules = {
+    liquidator: Liquidator,
+    rollover: Rollover,
+    arbitrage: Arbitrage
+};
+
+class TelegramBot {
+    start(positions, liquidations) {
+        this.positions = positions;
+        this.liquidations = liquidations;
+
+        this.bot = new Telegraf(conf.errorBotTelegram);
+        this.bot.use((ctx, next) => this.checkUser(ctx, next));
+        this.bot.command('status', (ctx) => this.status(ctx));
+        this.bot.command('loan', (ctx) => this.loan(ctx));
+        this.bot.command('liquidations', (ctx) => this.listLiquidations(ctx));
+        this.bot.command('pause', (ctx) => this.toggle(ctx, true));
+        this.bot.command('resume', (ctx) => this.toggle(ctx, false));
+        this.bot.command('history', (ctx) => this.history(ctx));
+        this.bot.catch((err) => {
+            console.error("Error processing telegram command");
+            console.error(err);
+        });
+        this.bot.launch()
+            .then(() => console.log("Telegram bot listening for commands"))
+            .catch((err) => {
+                console.error("Error starting the telegram bot");
+                console.error(err);
+            });
+    }
+
+    stop() {
+        if (this.bot) this.bot.stop();
+    }
+
+    /**
+     * Middleware: ignore all updates of users not whitelisted
+     */
+    checkUser(ctx, next) {
+        if (ctx.from && conf.telegramAdmins.indexOf(ctx.from.id) != -1) return next();
+        if (ctx.message) console.log("Telegram command of unauthorized user " + (ctx.from && ctx.from.id) + " ignored");
+    }
+
+    /**
+     * Returns the arguments of a command message
+     */
+    getArgs(ctx) {
+        return ctx.message.text.split(/\s+/).slice(1);
+    }
+
+    async status(ctx) {
+        const s = await Monitor.getSignals();
+        let msg = conf.network + "net status\n";
+        msg += "Block Sovryn node: " + s.blockInfoLn + ", public node: " + s.blockInfoPn + "\n";
+        msg += "Open positions: " + s.positionInfo + ", waiting for liquidation: " + s.liqInfo + "\n";
+
+        const accounts = { liquidator: s.accountInfoLiq, rollover: s.accountInfoRoll, arbitrage: s.accountInfoArb };
+        for (let type in accounts) {
+            for (let adr in accounts[type]) msg += type + " " + adr + ": " + accounts[type][adr] + " RBTC\n";
+        }
+        return ctx.reply(msg);
+    }
+
+    async loan(ctx) {
+        const loanId = this.getArgs(ctx)[0];
+        if (!loanId) return ctx.reply("Usage: /loan <loanId>");
+
+        const l = await C.getPositionStatus(loanId);
+        if (!l || !l.loanId || l.principal == "0") return ctx.reply("Loan " + loanId + " not found or closed");
+
+        let msg = "Loan " + l.loanId + "\n";
+        msg += "Loan token: " + l.loanToken + "\nCollateral token: " + l.collateralToken + "\n";
+        msg += "Principal: " + C.web3.utils.fromWei(l.principal, "Ether") + "\nCollateral: " + C.web3.utils.fromWei(l.collateral, "Ether") + "\n";
+        msg += "Current margin: " + C.web3.utils.fromWei(l.currentMargin, "Ether") + " %, maintenance margin: " + C.web3.utils.fromWei(l.maintenanceMargin, "Ether") + " %\n";
+        msg += "Max liquidatable: " + C.web3.utils.fromWei(l.maxLiquidatable, "Ether") + "\n";
+        msg += "End: " + new Date(l.endTimestamp * 1000).toISOString();
+        return ctx.reply(msg);
+    }
+
+    listLiquidations(ctx) {
+        const ids = Object.keys(this.liquidations);
+        if (ids.length == 0) return ctx.reply("No positions waiting for liquidation");
+
+        let msg = ids.length + " positions waiting for liquidation\n";
+        for (let id of ids) {
+            const l = this.liquidations[id];
+            msg += id + " margin " + C.web3.utils.fromWei(l.currentMargin.toString(), "Ether") + " %, max liquidatable " + C.web3.utils.fromWei(l.maxLiquidatable.toString(), "Ether") + "\n";
+        }
+        return ctx.reply(msg.slice(0, maxMessageLength));
+    }
+
+    toggle(ctx, pause) {
+        const name = this.getArgs(ctx)[0];
+        if (!modules[name]) return ctx.reply("Usage: /" + (pause ? "pause" : "resume") + " <" + Object.keys(modules).join("|") + ">");
+
+        if (pause) modules[name].pause();
+        else modules[name].resume();
+        console.log(name + (pause ? " paused" : " resumed") + " by telegram user " + ctx.from.id);
+        return ctx.reply(name + " is " + Lifecycle.state[name]);
+    }
+
+    async history(ctx) {
+        const usage = "Usage: /history <liquidator|rollover|arbitrage|arbitrageCycle|paperTrade> [n], n: 1-" + maxHistoryRows;
+        const [table, n] = this.getArgs(ctx);
+        const limit = n == null ? 5 : Number(n);
+        if (!Number.isInteger(limit) || limit < 1) return ctx.reply("Invalid number of rows " + n + ". " + usage);
+
+        const rows = await dbCtrl.getHistory(table, Math.min(limit, maxHistoryRows));
+        if (!rows) return ctx.reply(usage);
+        if (rows.length == 0) return ctx.reply("No " + table + " entries");
+
+        return ctx.reply(rows.map(r => JSON.stringify(r)).join("\n\n").slice(0, maxMessageLength));
+    }
+}
+
+export default new TelegramBot();
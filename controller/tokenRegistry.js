@@ -0,0 +1,119 @@
+/**
+ * Token registry
+ * Holds address, symbol, decimals, erc20 contract instance and the settings from the config (conf.tokens) for every token
+ * the protocol lends. The tokens are loaded from the protocol loan pools (getLoanPoolsList/loanPoolToUnderlying) on startup.
+ * WRBTC and Doc from the config are always available, also before init.
+ */
+import C from './contract';
+import conf from '../config/config';
+import abiTestToken from '../config/abiTestToken';
+
+class TokenRegistry {
+    constructor() {
+        this.tokens = null;
+    }
+
+    /**
+     * Adds the tokens from the config on first access. Not done in the constructor because the contract controller
+     * and the registry import each other
+     */
+    getTokens() {
+        if (!this.tokens) {
+            this.tokens = {};
+            this.add(conf.testTokenRBTC, "WRBTC", 18, C.contractTokenRBTC);
+            this.add(conf.docToken, "DOC", 18, C.contractTokenSUSD);
+        }
+        return this.tokens;
+    }
+
+    /**
+     * Loads the underlying tokens of all loan pools from the protocol contract
+     */
+    async init() {
+        try {
+            const pools = await C.call(C.contractSovryn.methods.getLoanPoolsList(0, 100), "getLoanPoolsList");
+            for (let pool of pools) {
+                const adr = await C.call(C.contractSovryn.methods.loanPoolToUnderlying(pool), "loanPoolToUnderlying");
+                if (!this.get(adr)) await this.load(adr);
+                this.get(adr).loanPool = pool;
+            }
+            console.log("Token registry: " + this.list().map(t => t.symbol).join(", "));
+        }
+        catch (e) {
+            console.error("Error loading the loan pool tokens");
+            console.error(e);
+        }
+    }
+
+    /**
+     * Reads symbol and decimals of a token from its contract and adds it to the registry
+     */
+    async load(adr) {
+        const contract = new C.web3.eth.Contract(abiTestToken, adr);
+        const symbol = await C.call(contract.methods.symbol(), "symbol");
+        const decimals = await C.call(contract.methods.decimals(), "decimals");
+        return this.add(adr, symbol, parseInt(decimals), contract);
+    }
+
+    add(adr, symbol, decimals, contract) {
+        const settings = conf.tokens[symbol.toLowerCase()] || conf.tokens.default;
+        const tokens = this.getTokens();
+        tokens[adr.toLowerCase()] = {
+            ...settings,
+            address: adr,
+            symbol,
+            decimals,
+            contract
+        };
+        return tokens[adr.toLowerCase()];
+    }
+
+    get(adr) {
+        return adr && this.getTokens()[adr.toLowerCase()];
+    }
+
+    getBySymbol(symbol) {
+        return this.list().find(t => t.symbol.toLowerCase() == symbol.toLowerCase());
+    }
+
+    list() {
+        return Object.values(this.getTokens());
+    }
+
+    isWrbtc(adr) {
+        return !!adr && adr.toLowerCase() == conf.testTokenRBTC.toLowerCase();
+    }
+
+    /**
+     * Converts an amount in the smallest unit of the token to a float
+     */
+    fromUnits(amount, adr) {
+        const token = this.get(adr);
+        const decimals = token ? token.decimals : 18;
+        return parseFloat(amount.toString()) / Math.pow(10, decimals);
+    }
+
+    /**
+     * Converts an amount (number or decimal string) to the smallest unit of the token, as string.
+     * Like web3.utils.toWei the conversion works on the decimal digits, so no precision is lost to float math.
+     * Digits beyond the decimals of the token are cut off
+     */
+    toUnits(amount, adr) {
+        const token = this.get(adr);
+        const decimals = token ? token.decimals : 18;
+
+        //numbers are written in exponent notation below 1e-6 and above 1e21
+        const [mantissa, exp = "0"] = amount.toString().trim().toLowerCase().split("e");
+        const negative = mantissa[0] == "-";
+        const [int, frac = ""] = mantissa.replace(/^[-+]/, "").split(".");
+        const digits = int + frac;
+        const point = int.length + parseInt(exp);
+
+        const whole = point <= 0 ? "0" : digits.slice(0, point).padEnd(point, "0");
+        const fraction = point <= 0 ? "0".repeat(-point) + digits : digits.slice(point);
+        const units = C.web3.utils.toBN(whole + fraction.slice(0, decimals).padEnd(decimals, "0"));
+        return (negative ? units.neg() : units).toString();
+    }
+}
+
+export default new TokenRegistry();
@@ -0,0 +1,158 @@
+/**
+ * Transaction tracker
+ * Signs and sends the liquidation, rollover and arbitrage transactions and watches them until they are mined.
+ * If a transaction is not mined after txBumpTimeout seconds it is re-signed with the same nonce and a gas price
+ * increased by txBumpFactor, at most txMaxBumps times. After the last bump the receipts of all attempts are polled for
+ * another txWaitTimeout seconds, because any of them can still be mined. Every attempt is stored in the transactions table.
+ */
+import C from './contract';
+import Rpc from './rpc';
+import U from '../util/helper';
+import conf from '../config/config';
+import dbCtrl from './db';
+import NonceManager from './nonceManager';
+
+const receiptPollInterval = 5; //sec
+
+class TxTracker {
+    constructor() {
+        this.pending = new Set();
+    }
+
+    /**
+     * Sends a transaction and resolves with the receipt of the mined attempt
+     * Rejects if the transaction reverted, could not be sent or was not mined within txWaitTimeout seconds after the last gas bump
+     * @param type liquidator, rollover or arbitrage
+     * @param tx {from, to, data, value, gas}. The nonce is assigned by the nonce manager
+     */
+    async send(type, tx) {
+        const account = C.web3.eth.accounts.wallet[tx.from.toLowerCase()];
+        if (!account) throw new Error("No private key for wallet " + tx.from);
+
+        const gasPrice = parseInt(await Rpc.execute(() => C.web3.eth.getGasPrice(), "getGasPrice"));
+        tx = { ...tx, nonce: await NonceManager.getNonce(tx.from) };
+        const hashes = [];
+
+        const sending = this.sendWithReplacement(type, account, tx, gasPrice, hashes);
+        this.pending.add(sending);
+        try {
+            return await sending;
+        }
+        catch (e) {
+            //nothing was broadcast -> the nonce is still unused
+            if (hashes.length == 0) await NonceManager.handleError(tx.from, tx.nonce, e);
+            throw e;
+        }
+        finally {
+            this.pending.delete(sending);
+            NonceManager.release(tx.from, tx.nonce);
+        }
+    }
+
+    /**
+     * Waits until all pending transactions are mined or failed, at most timeout seconds
+     * Returns the number of transactions still pending
+     */
+    async waitForPending(timeout) {
+        if (this.pending.size == 0) return 0;
+        console.log("Waiting for " + this.pending.size + " pending transactions");
+
+        const all = Promise.all([...this.pending].map(p => p.catch(() => {})));
+        await Promise.race([all, U.wasteTime(timeout)]);
+        return this.pending.size;
+    }
+
+    /**
+     * Sends the transaction and replaces it with a bumped gas price until it is mined
+     * The hashes of all accepted attempts are collected in hashes
+     */
+    async sendWithReplacement(type, account, tx, gasPrice, hashes) {
+        for (let attempt = 0; attempt <= conf.txMaxBumps; attempt++) {
+            if (attempt > 0) {
+                gasPrice = Math.ceil(gasPrice * conf.txBumpFactor);
+                console.log("Tx with nonce " + tx.nonce + " from " + tx.from + " not mined after " + conf.txBumpTimeout + " s. Resending with gas price " + gasPrice);
+            }
+
+            const signed = await account.signTransaction({ ...tx, gasPrice: gasPrice });
+            const { sent, error } = await this.broadcast(signed.rawTransaction);
+            await dbCtrl.addTransaction({
+                type,
+                adr: tx.from,
+                nonce: tx.nonce,
+                gasPrice,
+                attempt,
+                status: sent ? "pending" : "failed",
+                txHash: signed.transactionHash
+            });
+
+            if (sent) hashes.push(signed.transactionHash);
+            //the first attempt failed -> nothing to wait for. Failed replacements can be ignored, a previous attempt may have been mined
+            else if (hashes.length == 0) throw error || new Error("Could not send tx with nonce " + tx.nonce + " from " + tx.from);
+
+            const receipt = await this.waitForReceipt(hashes, conf.txBumpTimeout);
+            if (receipt) return await this.settle(receipt, hashes);
+        }
+
+        console.log("Tx with nonce " + tx.nonce + " from " + tx.from + " not mined after " + conf.txMaxBumps + " gas bumps. Waiting up to " + conf.txWaitTimeout + " s");
+        const receipt = await this.waitForReceipt(hashes, conf.txWaitTimeout);
+        if (receipt) return await this.settle(receipt, hashes);
+        throw new Error("Tx with nonce " + tx.nonce + " from " + tx.from + " not mined within " + conf.txWaitTimeout + " s after " + conf.txMaxBumps + " gas bumps");
+    }
+
+    /**
+     * Stores the status of all attempts once one of them is mined. Rejects if it reverted
+     */
+    async settle(receipt, hashes) {
+        const status = receipt.status ? "mined" : "reverted";
+        await dbCtrl.updateTransaction(receipt.transactionHash, status);
+        for (let h of hashes) if (h != receipt.transactionHash) await dbCtrl.updateTransaction(h, "replaced");
+        if (!receipt.status) throw new Error("Transaction " + receipt.transactionHash + " reverted");
+        return receipt;
+    }
+
+    /**
+     * Broadcasts a signed transaction. Returns {sent: true} if the node accepted it, {sent: false, error} otherwise
+     */
+    broadcast(rawTx) {
+        return new Promise(resolve => {
+            let accepted = false;
+            C.web3.eth.sendSignedTransaction(rawTx)
+                .once('transactionHash', () => {
+                    accepted = true;
+                    resolve({ sent: true });
+                })
+                .catch((err) => {
+                    //receipt errors are handled by waitForReceipt
+                    if (accepted) return;
+                    console.error("Error sending signed transaction");
+                    console.error(err);
+                    resolve({ sent: false, error: err });
+                });
+        });
+    }
+
+    /**
+     * Polls the receipts of all attempts for timeout seconds
+     * Returns the receipt of the mined attempt or false
+     */
+    async waitForReceipt(hashes, timeout) {
+        const end = Date.now() + timeout * 1000;
+
+        while (Date.now() < end) {
+            for (let h of hashes) {
+                try {
+                    const receipt = await Rpc.execute(() => C.web3.eth.getTransactionReceipt(h), "getTransactionReceipt");
+                    if (receipt) return receipt;
+                }
+                catch (e) {
+                    console.error("Error loading receipt of tx " + h);
+                    console.error(e);
+                }
+            }
+            await U.wasteTime(receiptPollInterval);
+        }
+        return false;
+    }
+}
+
+export default new TxTracker();
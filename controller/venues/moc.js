@@ -0,0 +1,100 @@
+/**
+ * Money on Chain venue
+ * Doc is minted by depositing RBtc (mintDoc) and redeemed for RBtc (redeemFreeDoc) at the bitcoin price of the MoC oracle.
+ * settings: {address of the MoC contract, commissionPercent charged in RBtc on top of the minted amount, gas}
+ *
+ * Venues implement isEnabled(), supports(fromToken, toToken) and convert(wallet, fromToken, toToken, amount), which returns
+ * {txHash, amountOut, commission, gasCost}: amountOut in wei of toToken, measured as change of the wallet balance (for RBtc before the gas cost),
+ * null if the balance could not be read after the tx was mined. commission (charged on top) and gasCost in wei of RBtc.
+ */
+import C from '../contract';
+import Rpc from '../rpc';
+import TxTracker from '../txTracker';
+import TokenRegistry from '../tokenRegistry';
+import abiMoc from '../../config/abiMoc';
+import conf from '../../config/config';
+
+export default class MocVenue {
+    constructor(settings) {
+        this.address = settings.address;
+        this.commissionPercent = settings.commissionPercent || 0;
+        this.gas = settings.gas || 1000000;
+    }
+
+    isEnabled() {
+        return !!this.address;
+    }
+
+    getContract() {
+        if (!this.contract) this.contract = new C.web3.eth.Contract(abiMoc, this.address);
+        return this.contract;
+    }
+
+    /**
+     * MoC only mints and redeems Doc against RBtc
+     */
+    supports(fromToken, toToken) {
+        const isDoc = (adr) => adr.toLowerCase() == conf.docToken.toLowerCase();
+        return (TokenRegistry.isWrbtc(fromToken) && isDoc(toToken)) || (isDoc(fromToken) && TokenRegistry.isWrbtc(toToken));
+    }
+
+    async convert(wallet, fromToken, toToken, amount) {
+        if (TokenRegistry.isWrbtc(fromToken) && toToken.toLowerCase() == conf.docToken.toLowerCase()) return await this.mintDoc(wallet, amount);
+        if (fromToken.toLowerCase() == conf.docToken.toLowerCase() && TokenRegistry.isWrbtc(toToken)) return await this.redeemDoc(wallet, amount);
+        throw new Error("MoC can not convert " + fromToken + " to " + toToken);
+    }
+
+    /**
+     * Mints Doc with amount RBtc. The commission is sent on top, MoC returns the change
+     */
+    async mintDoc(wallet, amount) {
+        const commission = C.web3.utils.toBN(amount).muln(Math.round(this.commissionPercent * 100)).divn(10000);
+        const value = C.web3.utils.toBN(amount).add(commission);
+        const data = this.getContract().methods.mintDoc(amount.toString()).encodeABI();
+
+        const balBefore = await C.getWalletTokenBalance(wallet, conf.docToken);
+        if (balBefore === false) throw new Error("Could not read the Doc balance of " + wallet);
+        const tx = await TxTracker.send("arbitrage", { from: wallet, to: this.address, data, gas: this.gas, value: value.toString() });
+        const balAfter = await C.getWalletTokenBalance(wallet, conf.docToken);
+
+        return {
+            txHash: tx.transactionHash,
+            amountOut: balAfter === false ? null : C.web3.utils.toBN(balAfter).sub(C.web3.utils.toBN(balBefore)).toString(),
+            commission: commission.toString(),
+            gasCost: await C.getTxCost(tx.transactionHash)
+        };
+    }
+
+    /**
+     * Redeems amount Doc for RBtc. The commission is deducted from the redeemed RBtc
+     */
+    async redeemDoc(wallet, amount) {
+        const data = this.getContract().methods.redeemFreeDoc(amount.toString()).encodeABI();
+
+        const balBefore = await this.getBalance(wallet);
+        const tx = await TxTracker.send("arbitrage", { from: wallet, to: this.address, data, gas: this.gas });
+        const gasCost = await C.getTxCost(tx.transactionHash);
+        let balAfter = null;
+        try {
+            balAfter = await this.getBalance(wallet);
+        }
+        catch (e) {
+            console.error("Could not read the RBtc balance of " + wallet + " after tx " + tx.transactionHash);
+            console.error(e.message);
+        }
+
+        return {
+            txHash: tx.transactionHash,
+            amountOut: balAfter == null ? null : C.web3.utils.toBN(balAfter).sub(C.web3.utils.toBN(balBefore)).add(C.web3.utils.toBN(gasCost)).toString(),
+            commission: "0",
+            gasCost
+        };
+    }
+
+    /**
+     * RBtc balance in wei
+     */
+    getBalance(wallet) {
+        return Rpc.execute(() => C.web3.eth.getBalance(wallet), "getBalance");
+    }
+}
@@ -5,6 +5,8 @@
 
 import A from '../secrets/accounts';
 import C from './contract';
+import NonceManager from './nonceManager';
+import Rpc from './rpc';
 
 class Wallet {
     constructor() {
@@ -25,7 +27,7 @@ class Wallet {
     }
 
     /**
-     * Returns the next available wallet with sufficient funds (RBTC or token)
+     * Returns the next available wallet with sufficient funds (RBTC or token) and less than 4 pending transactions
      * False if none could be found
      * @reqTokenBalance in wei
      * Careful: Consider decimals for tokens. Rbtc and Doc have 18
@@ -34,9 +36,10 @@ class Wallet {
         console.log("Checking wallet of type " + type + ", required token Balance: " + reqTokenBalance + ", for token: " + token);
         for (let wallet of A[type]) {
             if (this.queue[type][wallet.adr].length >= 4) continue;
+            if (NonceManager.getPendingCount(wallet.adr) >= 4) continue;
 
             let wBalance;
-            if (token == "rBtc") wBalance = await C.web3.eth.getBalance(wallet.adr);
+            if (token == "rBtc") wBalance = await Rpc.execute(() => C.web3.eth.getBalance(wallet.adr), "getBalance");
             else wBalance = await C.getWalletTokenBalance(wallet.adr, token);
 
             if (parseFloat(wBalance) >= parseFloat(reqTokenBalance)) return wallet;
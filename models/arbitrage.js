@@ -1,5 +1,8 @@
 import BaseModel from './baseModel';
 
+/**
+ * Amm arbitrage trade. profit: bought amount - sold amount at the price feed rate - gas cost, in units of the bought token
+ */
 export default class Arbitrage extends BaseModel {
     constructor(db) {
         super(db, 'arbitrage', `CREATE TABLE IF NOT EXISTS arbitrage (
@@ -11,6 +14,7 @@ export default class Arbitrage extends BaseModel {
             tokenFrom text,
             tokenTo text,
             trade text,
+            gasCost real,
             profit text,
             txHash
             )`);
@@ -20,6 +24,7 @@ export default class Arbitrage extends BaseModel {
     async createTable() {
         try {
             const walletTable = await super.createTable();
+            await this.addColumn('gasCost', 'real');
 
             console.log("Created arbitrage table", walletTable);
 
@@ -36,6 +41,13 @@ export default class Arbitrage extends BaseModel {
         });
     }
 
+    /**
+     * Number of trades and profit per bought token
+     */
+    profitByToken() {
+        return this.all(`SELECT tokenTo AS token, COUNT(*) AS trades, SUM(profit) AS profit FROM ${this.table} GROUP BY tokenTo`);
+    }
+
     async getLastIndex() {
         const sql = `SELECT * FROM ${this.table} order by id desc`;
 
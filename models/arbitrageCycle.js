@@ -0,0 +1,47 @@
+import BaseModel from './baseModel';
+
+/**
+ * Arbitrage cycle: the amm trade and the trade back on the external venue with the combined profit in units of the sold token,
+ * net of the venue commission and the gas of both legs (in RBtc)
+ */
+export default class ArbitrageCycle extends BaseModel {
+    constructor(db) {
+        super(db, 'arbitrageCycle', `CREATE TABLE IF NOT EXISTS arbitrageCycle (
+            id INTEGER PRIMARY KEY,
+            adr text,
+            venue text,
+            tokenSold text,
+            tokenBought text,
+            amountSold text,
+            amountBought text,
+            amountBack text,
+            ammTxHash text,
+            venueTxHash text,
+            commission real,
+            gasCost real,
+            profit text,
+            status text,
+            dateAdded datetime
+            )`);
+    }
+
+
+    async createTable() {
+        try {
+            const cycleTable = await super.createTable();
+
+            console.log("Created arbitrage cycle table", cycleTable);
+
+            return cycleTable;
+        } catch (e) {
+            console.log('Can not create arbitrage cycle table', e);
+        }
+    }
+
+    insert(data) {
+        return super.insert({
+            ...data,
+            dateAdded: new Date()
+        });
+    }
+}
@@ -56,6 +56,16 @@ export default class BaseModel {
         return await this.run(this.createTableSQL);
     }
 
+    /**
+     * Adds a column to a table created by an older version
+     */
+    async addColumn(name, type) {
+        const columns = await this.all(`PRAGMA table_info(${this.table})`);
+        if (columns.find(c => c.name === name)) return;
+
+        return await this.run(`ALTER TABLE ${this.table} ADD COLUMN ${name} ${type}`);
+    }
+
 
     /**
      *
@@ -99,6 +109,44 @@ export default class BaseModel {
         return this.all(sql, params);
     }
 
+    /**
+     * Find rows added within a date range, newest first
+     * @param from - Date or null
+     * @param to - Date or null
+     */
+    findByDate(from, to, {limit, offset} = {}) {
+        const {where, params} = this.dateRange(from, to);
+        let sql = `SELECT * FROM ${this.table}${where} ORDER BY dateAdded DESC, id DESC`;
+
+        if (limit > 0) {
+            sql += ' LIMIT ' + limit;
+        }
+        if (offset > 0) {
+            sql += ' OFFSET ' + offset;
+        }
+
+        return this.all(sql, params);
+    }
+
+    async countByDate(from, to) {
+        const {where, params} = this.dateRange(from, to);
+        const res = await this.get(`SELECT COUNT(*) AS count FROM ${this.table}${where}`, params);
+        return res.count;
+    }
+
+    dateRange(from, to) {
+        const cond = [], params = [];
+        if (from) {
+            cond.push('dateAdded >= ?');
+            params.push(from);
+        }
+        if (to) {
+            cond.push('dateAdded <= ?');
+            params.push(to);
+        }
+        return { where: cond.length > 0 ? ' WHERE ' + cond.join(' AND ') : '', params };
+    }
+
     async insert(data) {
         const params = _.values(data);
         const sql = `
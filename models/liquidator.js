@@ -1,5 +1,8 @@
 import BaseModel from './baseModel';
 
+/**
+ * Liquidation with the profit in wei of the loan token. swapStatus: "swapped", "failed" or "skipped: [reason]" for the swap of the collateral
+ */
 export default class Liquidator extends BaseModel {
     constructor(db) {
         super(db, 'liquidator', `CREATE TABLE IF NOT EXISTS liquidator (
@@ -11,6 +14,8 @@ export default class Liquidator extends BaseModel {
             pos text,
             loanId text,
             profit text,
+            slippage text,
+            swapStatus text,
             txHash text
             )`);
     }
@@ -19,6 +24,8 @@ export default class Liquidator extends BaseModel {
     async createTable() {
         try {
             const walletTable = await super.createTable();
+            await this.addColumn('slippage', 'text');
+            await this.addColumn('swapStatus', 'text');
 
             console.log("Created liquidator table", walletTable);
 
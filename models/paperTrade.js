@@ -0,0 +1,61 @@
+import BaseModel from './baseModel';
+
+/**
+ * Simulated arbitrage trade of the paper trading mode. Amounts are floats in token units, profit and markedProfit in units of the bought token.
+ * markedProfit is the value of the bought tokens minus the value of the sold tokens at the oracle rate (markRate) at dateMarked
+ */
+export default class PaperTrade extends BaseModel {
+    constructor(db) {
+        super(db, 'paperTrade', `CREATE TABLE IF NOT EXISTS paperTrade (
+            id INTEGER PRIMARY KEY,
+            pair text,
+            tokenSold text,
+            tokenBought text,
+            amountSold real,
+            amountBought real,
+            pfRate real,
+            gasCost real,
+            profit real,
+            markRate real,
+            markedProfit real,
+            dateMarked datetime,
+            dateAdded datetime
+            )`);
+    }
+
+
+    async createTable() {
+        try {
+            const paperTable = await super.createTable();
+
+            console.log("Created paper trade table", paperTable);
+
+            return paperTable;
+        } catch (e) {
+            console.log('Can not create paper trade table', e);
+        }
+    }
+
+    insert(data) {
+        return super.insert({
+            ...data,
+            dateAdded: new Date()
+        });
+    }
+
+    /**
+     * Trades added before the given date which are not marked yet
+     */
+    findUnmarked(before) {
+        return this.all(`SELECT * FROM ${this.table} WHERE dateMarked IS NULL AND dateAdded <= ? ORDER BY id`, [before]);
+    }
+
+    /**
+     * Number of trades, expected and marked profit per bought token
+     */
+    profitByToken() {
+        return this.all(`SELECT tokenBought AS token, COUNT(*) AS trades, SUM(profit) AS profit,
+            COUNT(markedProfit) AS markedTrades, SUM(markedProfit) AS markedProfit
+            FROM ${this.table} GROUP BY tokenBought`);
+    }
+}
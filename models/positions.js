@@ -0,0 +1,50 @@
+import BaseModel from './baseModel';
+
+export default class Positions extends BaseModel {
+    constructor(db) {
+        super(db, 'positions', `CREATE TABLE IF NOT EXISTS positions (
+            id INTEGER PRIMARY KEY,
+            loanId text UNIQUE,
+            loan text,
+            margin text,
+            blockNr integer,
+            dateAdded datetime
+            )`);
+    }
+
+
+    async createTable() {
+        try {
+            const walletTable = await super.createTable();
+
+            console.log("Created positions table", walletTable);
+
+            return walletTable;
+        } catch (e) {
+            console.log('Can not create positions table', e);
+        }
+    }
+
+    /**
+     * Inserts the position or replaces the stored one with the same loanId
+     */
+    upsert(data) {
+        data = {
+            ...data,
+            dateAdded: new Date()
+        };
+        const sql = `
+            INSERT OR REPLACE INTO ${this.table} (${Object.keys(data).join(',')})
+            VALUES (${Object.keys(data).map(() => '?').join(',')})
+        `;
+
+        return this.run(sql, Object.values(data));
+    }
+
+    /**
+     * Removes all positions which were not read at or after the given block
+     */
+    removeOutdated(blockNr) {
+        return this.run(`DELETE FROM ${this.table} WHERE blockNr < ?`, [blockNr]);
+    }
+}
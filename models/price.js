@@ -0,0 +1,50 @@
+import BaseModel from './baseModel';
+
+/**
+ * Price sample of an arbitrage round. ammRate and oracleRate in quote tokens per base token, quoted for amount base tokens.
+ * gasPrice in wei, rbtcRate in quote tokens per RBtc (to value the gas cost)
+ */
+export default class Price extends BaseModel {
+    constructor(db) {
+        super(db, 'prices', `CREATE TABLE IF NOT EXISTS prices (
+            id INTEGER PRIMARY KEY,
+            blockNr INTEGER,
+            pair text,
+            amount real,
+            ammRate real,
+            oracleRate real,
+            gasPrice text,
+            rbtcRate real,
+            dateAdded datetime
+            )`);
+    }
+
+
+    async createTable() {
+        try {
+            const priceTable = await super.createTable();
+
+            console.log("Created prices table", priceTable);
+
+            return priceTable;
+        } catch (e) {
+            console.log('Can not create prices table', e);
+        }
+    }
+
+    insert(data) {
+        return super.insert({
+            ...data,
+            dateAdded: new Date()
+        });
+    }
+
+    /**
+     * Samples of a pair within a date range (Date or null), oldest first
+     */
+    findByPair(pair, from, to) {
+        const {where, params} = this.dateRange(from, to);
+        const sql = `SELECT * FROM ${this.table}${where}${where ? ' AND' : ' WHERE'} pair = ? ORDER BY dateAdded, id`;
+        return this.all(sql, params.concat([pair]));
+    }
+}
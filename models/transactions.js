@@ -0,0 +1,45 @@
+import BaseModel from './baseModel';
+
+export default class Transactions extends BaseModel {
+    constructor(db) {
+        super(db, 'transactions', `CREATE TABLE IF NOT EXISTS transactions (
+            id INTEGER PRIMARY KEY,
+            type text,
+            adr text,
+            nonce integer,
+            gasPrice text,
+            attempt integer,
+            status text,
+            dateAdded datetime,
+            txHash text
+            )`);
+    }
+
+
+    async createTable() {
+        try {
+            const walletTable = await super.createTable();
+
+            console.log("Created transactions table", walletTable);
+
+            return walletTable;
+        } catch (e) {
+            console.log('Can not create transactions table', e);
+        }
+    }
+
+    /**
+     * Returns the number of attempts per status added after the given date
+     */
+    countByStatus(since) {
+        const sql = `SELECT status, COUNT(*) AS count FROM ${this.table} WHERE dateAdded >= ? GROUP BY status`;
+        return this.all(sql, [since.getTime()]);
+    }
+
+    insert(data) {
+        return super.insert({
+            ...data,
+            dateAdded: new Date()
+        });
+    }
+}
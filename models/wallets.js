@@ -0,0 +1,44 @@
+import BaseModel from './baseModel';
+
+export default class Wallets extends BaseModel {
+    constructor(db) {
+        super(db, 'wallets', `CREATE TABLE IF NOT EXISTS wallets (
+            id INTEGER PRIMARY KEY,
+            adr text,
+            type text,
+            nonce integer,
+            queue text,
+            dateAdded datetime,
+            UNIQUE(adr, type)
+            )`);
+    }
+
+
+    async createTable() {
+        try {
+            const walletTable = await super.createTable();
+
+            console.log("Created wallets table", walletTable);
+
+            return walletTable;
+        } catch (e) {
+            console.log('Can not create wallets table', e);
+        }
+    }
+
+    /**
+     * Inserts the wallet state or replaces the stored one of the same address and type
+     */
+    upsert(data) {
+        data = {
+            ...data,
+            dateAdded: new Date()
+        };
+        const sql = `
+            INSERT OR REPLACE INTO ${this.table} (${Object.keys(data).join(',')})
+            VALUES (${Object.keys(data).map(() => '?').join(',')})
+        `;
+
+        return this.run(sql, Object.values(data));
+    }
+}
@@ -7,7 +7,12 @@
 class Monitor {
 
     start() {
+        let p=this;
         this.getSignals();
+
+        $("#modules button").click(function() {
+            p.setModuleState($(this).data("module"), $(this).data("action"));
+        });
         
         setInterval(() => {
             this.getSignals();
@@ -27,6 +32,10 @@ class Monitor {
             p.showLiquidations(res.liqInfo);
         });
 
+        socket.emit("getArbitrageResults", (res) => p.showArbitrageResults(res));
+        socket.emit("getModuleState", (res) => p.showModuleState(res));
+        socket.emit("getRole", (role) => $("#modules button").prop("disabled", role != "operator"));
+
         /*
         socket.emit("getOpenPositionsDetails", (res) => {
             console.log("open positions");
@@ -99,6 +108,47 @@ class Monitor {
     showLiquidations(oL) {
         $('#openLiqQueue').text(oL);
     }
+
+    /**
+     * Live and paper trading results side by side, one row per bought token
+     */
+    showArbitrageResults(res) {
+        const fmt = (v) => v == null ? "-" : parseFloat(v).toFixed(6);
+        const tokens = {};
+        for (let r of res.live) tokens[r.token] = { live: r };
+        for (let r of res.paper) tokens[r.token] = { ...tokens[r.token], paper: r };
+
+        $("#paperTradingState").text(res.paperTrading ? "on" : "off");
+        $("#arbitrageResults tbody").empty();
+        for (let t in tokens) {
+            const live = tokens[t].live || {};
+            const paper = tokens[t].paper || {};
+            $("#arbitrageResults tbody").append($("<tr>").append(
+                $("<td>").text(t),
+                $("<td>").text(live.trades || 0),
+                $("<td>").text(fmt(live.profit)),
+                $("<td>").text(paper.trades || 0),
+                $("<td>").text(fmt(paper.profit)),
+                $("<td>").text(fmt(paper.markedProfit) + " (" + (paper.markedTrades || 0) + ")")
+            ));
+        }
+    }
+
+    setModuleState(module, action) {
+        let p=this;
+        if (action == "stop" && !confirm("Stop " + module + "?")) return;
+        socket.emit("setModuleState", module, action, (res) => p.showModuleState(res));
+    }
+
+    showModuleState(state) {
+        for(let m in state) {
+            $("#module"+m+" .state").text(state[m]);
+            $("#module"+m).removeClass();
+            if (state[m]=="running") $("#module"+m).addClass('alert alert-success');
+            else if (state[m]=="paused") $("#module"+m).addClass('alert alert-warning');
+            else $("#module"+m).addClass('alert alert-danger');
+        }
+    }
 }
 
 $(document).ready(function(){
@@ -7,6 +7,9 @@ const http = require('http').createServer(app);
 const io = require('socket.io')(http);
 
 import mainController from './controller/main';
+import Metrics from './controller/metrics';
+import Api from './controller/api';
+import Auth from './controller/auth';
 import conf from './config/config';
 
 const monitor = require('pm2-server-monitor');
@@ -15,12 +18,29 @@ monitor({
     port: conf.healthMonitorPort
 });
        
+app.use(Auth.http("viewer"));
+app.get('/metrics', async (req, res) => {
+    try {
+        res.set('Content-Type', Metrics.register.contentType);
+        res.end(await Metrics.getMetrics());
+    }
+    catch (e) {
+        console.error(e);
+        res.status(500).end();
+    }
+});
+app.use('/api/v1', Api.router());
 app.use('/', express.static('public/dist'));
 http.listen(conf.serverPort, () => {
     console.log('listening on *:'+conf.serverPort);
 });
 
+io.use(Auth.socket());
+
 console.log("Hola. Starting the app on "+process.argv[2]);
 mainController.start(io);
 
+process.on('SIGINT', () => mainController.shutdown('SIGINT'));
+process.on('SIGTERM', () => mainController.shutdown('SIGTERM'));
+
 
@@ -1,18 +1,23 @@
 /**
  * Api tester
+ * Authenticates with the first api token of secrets/auth.js, the watcher has to run with "authEnabled" in the config
  */
 import c from '../config/config_testnet';
+import credentials from '../secrets/auth';
 import io from 'socket.io-client';
+const axios = require('axios');
 
 const assert = require('assert');
 
 var socket;
+const token = credentials.tokens[0].token;
+axios.defaults.headers.common['Authorization'] = 'Bearer ' + token;
 
 describe('Api', async () => {
     describe('#Open positions', async () => {
         before(async () => {
             console.log("init");
-            socket = io('http://localhost:'+c.serverPort);
+            socket = io('http://localhost:'+c.serverPort, { query: { token } });
         });
 
         it('should return number of open positions', async () => {
@@ -28,15 +33,71 @@ describe('Api', async () => {
             console.log(res[arr[arr.length-1]]);
             assert(arr.length>0);
         });
+
+        it('should return a filtered page of position details', async () => {
+            let res = await emitReq("getOpenPositionsDetails", { page: 1, limit: 5, minMargin: 0 });
+            assert(res.total > 0);
+            assert(res.positions.length <= 5);
+        });
+    });
+
+    describe('#Rest api', async () => {
+        const url = 'http://localhost:' + c.serverPort + '/api/v1';
+
+        it('should return the first page of open positions', async () => {
+            const res = await axios.get(url + '/positions?limit=10');
+            console.log(res.data.total + " open positions");
+            assert(res.data.page == 1 && res.data.limit == 10);
+            assert(res.data.positions.length <= 10);
+        });
+
+        it('should filter positions by margin', async () => {
+            const res = await axios.get(url + '/positions?minMargin=20&maxMargin=30');
+            const margins = res.data.positions.map(p => parseFloat(p.currentMargin) / 1e18);
+            assert(margins.every(m => m >= 20 && m <= 30));
+        });
+
+        it('should return the details of an open loan', async () => {
+            const list = await axios.get(url + '/positions?limit=1');
+            if (list.data.positions.length == 0) return;
+
+            const res = await axios.get(url + '/loans/' + list.data.positions[0].loanId);
+            assert(res.data.loan.loanId == list.data.positions[0].loanId);
+            assert(res.data.open);
+        });
+
+        it('should return the liquidations of the last 30 days', async () => {
+            const from = Date.now() - 30 * 24 * 3600 * 1000;
+            const res = await axios.get(url + '/history/liquidator?from=' + from);
+            assert(res.data.rows.every(r => r.dateAdded >= from));
+        });
+
+        it('should reject requests without credentials', async () => {
+            const res = await axios.get(url + '/positions', { headers: { Authorization: '' }, validateStatus: () => true });
+            assert(res.status == 401);
+        });
+
+        it('should reject empty credentials', async () => {
+            for (let auth of ['Basic ' + Buffer.from(':').toString('base64'), 'Bearer ']) {
+                const res = await axios.get(url + '/positions', { headers: { Authorization: auth }, validateStatus: () => true });
+                assert(res.status == 401);
+            }
+        });
+
+        it('should reject an invalid date range', async () => {
+            const res = await axios.get(url + '/history/rollover?from=yesterday', { validateStatus: () => true });
+            assert(res.status == 400);
+        });
     });
 });
 
 
 //helper
 
-function emitReq(req) {
+function emitReq(req, query) {
     return new Promise(resolve=>{
-        socket.emit(req, (res) => {
+        if (query) socket.emit(req, query, (res) => resolve(res));
+        else socket.emit(req, (res) => {
             resolve(res);
         });
     });
@@ -5,6 +5,8 @@
 import conf from '../config/config';
 import C from '../controller/contract';
 import Arbitrage from '../controller/arbitrage';
+import Swap from '../controller/swap';
+import TokenRegistry from '../controller/tokenRegistry';
 const assert = require('assert');
 import db from "../controller/db";
 var pPriceFeed, pAmm;
@@ -43,6 +45,67 @@ describe('Arbitrage', async () => {
             }
         });
 
+        it('Should calculate the slippage of a swap against the oracle', async () => {
+            assert(Swap.calcSlippage("1000", "990") == 1);
+            assert(Swap.calcSlippage("1000", "1010") == -1);
+            assert(Swap.calcSlippage("0", "1010") == 0);
+        });
+
+        it('Should get the min return for swapping RBtc to doc on the amm', async () => {
+            const amount = C.web3.utils.toWei(maxAmount, "Ether");
+            const path = await C.contractSwaps.methods["conversionPath"](conf.testTokenRBTC, conf.docToken).call();
+            const swap = await Swap.getMinReturn(path, conf.testTokenRBTC, conf.docToken, amount);
+            console.log(swap);
+            if (swap) assert(parseFloat(swap.minReturn) < parseFloat(swap.oracle));
+        });
+
+        it('Should step through the trade sizes from min to max', async () => {
+            const sizes = Arbitrage.getTradeSizes(10, 1000, 3);
+            assert(sizes.length == 3);
+            assert(Math.abs(sizes[1] - 100) < 1e-9);
+            assert(sizes[2] == 1000);
+            assert.deepEqual(Arbitrage.getTradeSizes(10, 5, 10), [5]);
+        });
+
+        it('Should find the most profitable trade size within the limits', async () => {
+            const limits = conf.arbitragePairs[0].tradeSize.base;
+            const trade = await Arbitrage.findTradeSize(conf.testTokenRBTC, conf.docToken, limits, pPriceFeed / parseFloat(maxAmount));
+            console.log(trade);
+            if (trade) {
+                const size = parseFloat(C.web3.utils.fromWei(trade.amount, "Ether"));
+                assert(size >= limits.min && size <= limits.max);
+                assert(trade.profit > 0);
+            }
+        });
+
+        it('Should convert amounts to token units', async () => {
+            assert(TokenRegistry.toUnits(0.01, conf.testTokenRBTC) == C.web3.utils.toWei("0.01", "Ether"));
+            assert(TokenRegistry.toUnits(1.5, conf.docToken) == "1500000000000000000");
+            assert(TokenRegistry.toUnits(1e-7, conf.docToken) == "100000000000");
+            assert(TokenRegistry.toUnits("0.123456789123456789", conf.docToken) == "123456789123456789");
+        });
+
+        it('Should check a pair for arbitrage', async () => {
+            const pair = { ...conf.arbitragePairs[0], threshold: 0 };
+            const o = await Arbitrage.checkPair(pair);
+            console.log(o);
+            if (o) {
+                assert([conf.testTokenRBTC, conf.docToken].indexOf(o.sellToken) != -1 && o.sellToken != o.buyToken);
+                assert(o.profitRbtc > 0);
+            }
+        });
+
+        it('Should skip disabled pairs and pick the most profitable one', async () => {
+            const pairs = conf.arbitragePairs;
+            const checkPair = Arbitrage.checkPair;
+            conf.arbitragePairs = [{ base: "A", enabled: true }, { base: "B", enabled: false }, { base: "C", enabled: true }];
+            Arbitrage.checkPair = async (pair) => ({ pair: pair.base, profitRbtc: { A: 0.001, B: 1, C: 0.002 }[pair.base] });
+            const best = await Arbitrage.findBestOpportunity();
+            Arbitrage.checkPair = checkPair;
+            conf.arbitragePairs = pairs;
+            assert(best.pair == "C");
+        });
+
         it('Should detect arbitrage on the contract', async () => {
             const a = Arbitrage.calcArbitrage(pPriceFeed,pAmm,2);
             console.log(a);
@@ -52,17 +115,17 @@ describe('Arbitrage', async () => {
        
         it('Should send Doc to the amm', async () => {
             const amount = C.web3.utils.toWei("100", "Ether");
-            let p = await Arbitrage.sendLiquidity(amount, "Doc");
+            let p = await Arbitrage.sendLiquidity(conf.docToken, conf.testTokenRBTC, amount);
             console.log(p);
             assert(p);
         });
 /*
         it('Should send WRbtc to the amm', async () => {
             const amount = C.web3.utils.toWei("0.01", "Ether");
-            let p = await Arbitrage.sendLiquidity(amount, "RBtc");
+            let p = await Arbitrage.sendLiquidity(conf.testTokenRBTC, conf.docToken, amount);
             console.log(p);
             assert(p);
-            await Arbitrage.calculateProfit(p.transactionHash, pPriceFeed)
+            await Arbitrage.calculateProfit(p.transactionHash, pPriceFeed / parseFloat(maxAmount))
         });*/
 
         /*
@@ -70,4 +133,93 @@ describe('Arbitrage', async () => {
             Arbitrage.checkAmmForArbitrage();
         });*/
     });
+
+    describe('#Arbitrage cycle', async () => {
+        //stand-in for the external venue, returns the amount converted at a fixed rate
+        const mockVenue = (rate, fail, costs = {}) => ({
+            isEnabled: () => true,
+            supports: () => true,
+            convert: async (wallet, fromToken, toToken, amount) => {
+                if (fail) throw new Error("venue not available");
+                return { txHash: "0x01", amountOut: C.web3.utils.toBN(amount).muln(rate).toString(), commission: "0", gasCost: "0", ...costs };
+            }
+        });
+        const leg = {
+            adr: "0x0000000000000000000000000000000000000001",
+            tokenSold: conf.docToken,
+            tokenBought: conf.testTokenRBTC,
+            amountSold: C.web3.utils.toWei("100", "Ether"),
+            amountBought: C.web3.utils.toWei("0.0101", "Ether")
+        };
+
+        it('Should convert back on the venue and store the combined profit', async () => {
+            Arbitrage.venue = mockVenue(10000);
+            const cycle = await Arbitrage.closeCycle(leg, "0x02");
+            assert(cycle.status == "closed");
+            assert(Math.abs(cycle.profit - 1) < 1e-9);
+
+            const rows = await db.getHistory("arbitrageCycle", 1);
+            assert(rows[0].ammTxHash == "0x02" && rows[0].venueTxHash == "0x01");
+        });
+
+        it('Should deduct the commission and gas from the cycle profit', async () => {
+            Arbitrage.venue = mockVenue(10000, false, { commission: C.web3.utils.toWei("0.00001", "Ether"), gasCost: C.web3.utils.toWei("0.00001", "Ether") });
+            const cycle = await Arbitrage.closeCycle(leg, "0x04");
+            assert(cycle.status == "closed");
+            assert(Math.abs(cycle.commission - 0.00001) < 1e-12 && cycle.gasCost >= 0.00001);
+            assert(cycle.profit < 1);
+        });
+
+        it('Should keep the venue tx hash if the received amount is unknown', async () => {
+            Arbitrage.venue = mockVenue(10000, false, { amountOut: null });
+            const cycle = await Arbitrage.closeCycle(leg, "0x05");
+            assert(cycle.status == "failed" && cycle.venueTxHash == "0x01");
+        });
+
+        it('Should store a failed cycle if the venue fails', async () => {
+            Arbitrage.venue = mockVenue(10000, true);
+            const cycle = await Arbitrage.closeCycle(leg, "0x03");
+            assert(cycle.status == "failed");
+            assert(cycle.profit == null);
+        });
+    });
+
+    describe('#Paper trading', async () => {
+        const opportunity = {
+            pair: "WRBTC/DOC",
+            sellToken: conf.testTokenRBTC,
+            buyToken: conf.docToken,
+            amount: C.web3.utils.toWei("0.01", "Ether"),
+            amountOut: 102,
+            gasCost: 0.5,
+            profit: 1.5,
+            pfRate: 10000
+        };
+
+        it('Should store a paper trade instead of sending it', async () => {
+            const trade = await Arbitrage.paperTrade(opportunity);
+            assert(trade.amountSold == 0.01 && trade.amountBought == 102);
+
+            const rows = await db.getHistory("paperTrade", 1);
+            assert(rows[0].pair == "WRBTC/DOC" && rows[0].dateMarked == null);
+        });
+
+        it('Should mark paper trades to the oracle price', async () => {
+            const delay = conf.arbitragePaperMarkDelay;
+            conf.arbitragePaperMarkDelay = -1;
+            await Arbitrage.markPaperTrades();
+            conf.arbitragePaperMarkDelay = delay;
+
+            const rows = await db.getHistory("paperTrade", 1);
+            console.log(rows[0]);
+            assert(rows[0].markRate > 0);
+            assert(Math.abs(rows[0].markedProfit - (102 - 0.01 * rows[0].markRate - 0.5)) < 1e-9);
+        });
+
+        it('Should summarize live and paper results', async () => {
+            const summary = await db.getArbitrageSummary();
+            const paper = summary.paper.find(r => r.token == conf.docToken);
+            assert(paper && paper.trades > 0 && paper.markedTrades > 0);
+        });
+    });
 });
\ No newline at end of file
@@ -0,0 +1,51 @@
+/**
+ * Backtest tester
+ * Replays synthetic price samples, no recorded history needed
+ */
+import Backtest from '../controller/backtest';
+import conf from '../config/config';
+const assert = require('assert');
+
+//rates in quote per base token, quoted for 0.01 base tokens
+const sample = (ammRate, oracleRate, gasPrice) => ({ amount: 0.01, ammRate, oracleRate, gasPrice, rbtcRate: oracleRate });
+
+describe('Backtest', async () => {
+    describe('#Trades', async () => {
+        it('should value the trade in both directions', async () => {
+            assert(Math.abs(Backtest.tradeProfit(sample(10500, 10000), 0.1) - 50) < 1e-9);
+            assert(Math.abs(Backtest.tradeProfit(sample(10000, 10500), 0.1) - 52.5) < 1e-9);
+        });
+
+        it('should value the gas in quote tokens', async () => {
+            const gas = Backtest.gasCost(sample(10000, 10000, "1000000000"));
+            assert(Math.abs(gas - conf.arbitrageGas * 1e-9 * 10000) < 1e-9);
+            assert(Backtest.gasCost(sample(10000, 10000, null)) == 0);
+        });
+    });
+
+    describe('#Replay', async () => {
+        const samples = [
+            sample(10300, 10000, "0"),
+            sample(10010, 10000, "0"),
+            sample(9500, 10000, "0"),
+            sample(10000, 10300, "0")
+        ];
+
+        it('should only trade above the threshold', async () => {
+            assert(Backtest.simulate(samples, 2, 0.1).trades == 3);
+            assert(Backtest.simulate(samples, 4, 0.1).trades == 1);
+            assert(Backtest.simulate(samples, 10, 0.1).trades == 0);
+        });
+
+        it('should report profit and the worst drawdown', async () => {
+            //a gas cost of 60 Doc per trade makes the first trade a loss
+            const costly = samples.map(s => ({ ...s, gasPrice: String(60 / (conf.arbitrageGas * s.rbtcRate) * 1e18) }));
+            const r = Backtest.simulate(costly, 2, 0.1);
+            const gross = 30 + 0.1 * 10000 * (10000 / 9500 - 1) + 0.1 * 10300 * (10300 / 10000 - 1);
+            assert(Math.abs(r.grossProfit - gross) < 1e-6);
+            assert(Math.abs(r.netProfit - (gross - 3 * 60)) < 1e-6);
+            //every trade loses against the gas: the drawdown is the total loss, ~66.47
+            assert(Math.abs(r.maxDrawdown - (3 * 60 - gross)) < 1e-6);
+        });
+    });
+});
@@ -82,6 +82,26 @@ describe('Liquidation', async () => {
             assert(parseInt(loanHigh.maxLiquidatable) > 0);
         });
 
+        it('should estimate a positive liquidation profit for the high leverage position', async () => {
+            if (loanLow.loanToken == "0x0000000000000000000000000000000000000000" || loanHigh.loanToken == "0x0000000000000000000000000000000000000000") {
+                console.log("loanId of loan changed");
+                return assert(true);
+            }
+            const profit = await Liquidator.getLiquidationProfit(loanHigh);
+            console.log("expected profit: " + profit + " RBTC");
+            assert(profit !== false && profit > 0);
+        });
+
+        it('should fail to simulate the liquidation of the low leverage position', async () => {
+            if (loanLow.loanToken == "0x0000000000000000000000000000000000000000" || loanHigh.loanToken == "0x0000000000000000000000000000000000000000") {
+                console.log("loanId of loan changed");
+                return assert(true);
+            }
+            const simulated = await Liquidator.simulateLiquidation(loanIdLow, A.liquidator[0].adr, loanLow.maxLiquidatable, "rBtc");
+            console.log("revert reason: " + simulated.reason);
+            assert(!simulated.success);
+        });
+
         it('should fail to liquidate the low leverage position', async () => {
             if (loanLow.loanToken == "0x0000000000000000000000000000000000000000" || loanHigh.loanToken == "0x0000000000000000000000000000000000000000") {
                 console.log("loanId of loan changed");
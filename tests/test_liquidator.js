@@ -0,0 +1,100 @@
+/**
+ * Test the processing of a liquidation receipt
+ * Contract calls and transactions are replaced by stubs, the Liquidate event is decoded with the abi the liquidator registers itself
+ * Set config file in /config.config.js manually because mocha.js overwrites process.arg
+ */
+import conf from '../config/config';
+import C from '../controller/contract';
+import Swap from '../controller/swap';
+import TxTracker from '../controller/txTracker';
+import Liquidator from '../controller/liquidator';
+import dbCtrl from '../controller/db';
+const assert = require('assert');
+
+const liquidator = "0x0000000000000000000000000000000000000001";
+const user = "0x0000000000000000000000000000000000000002";
+const loanId = "0x" + "ab".repeat(32);
+const collateral = C.web3.utils.toWei("1", "Ether");
+
+describe('Liquidator', async () => {
+    describe('#Liquidation log', async () => {
+        const stubbed = {};
+        let sent, balances;
+
+        before(async () => {
+            await dbCtrl.initDb(conf.db);
+            for (const [obj, fn] of [[C, "call"], [C, "getWalletTokenBalance"], [C, "approveToken"], [Swap, "getMinReturn"], [TxTracker, "send"]]) {
+                stubbed[fn] = [obj, obj[fn]];
+            }
+            stubbed.getTransactionReceipt = [C.web3.eth, C.web3.eth.getTransactionReceipt];
+
+            C.call = async () => [conf.docToken, conf.docToken, conf.testTokenRBTC];
+            C.getWalletTokenBalance = async () => balances.shift();
+            C.approveToken = async () => {};
+            Swap.getMinReturn = async () => ({ minReturn: "1", oracle: 1 });
+            TxTracker.send = async (type, tx) => {
+                sent.push(tx);
+                return { transactionHash: "0x" + sent.length };
+            };
+        });
+
+        beforeEach(() => {
+            sent = [];
+        });
+
+        after(() => {
+            for (const fn in stubbed) stubbed[fn][0][fn] = stubbed[fn][1];
+        });
+
+        it('should decode the Liquidate event and store the swap status', async () => {
+            balances = ["0", "1000"];
+            C.web3.eth.getTransactionReceipt = async () => liquidationReceipt(conf.docToken, conf.testTokenRBTC);
+
+            const log = await Liquidator.addLiqLog("0x" + "01".repeat(32));
+            assert(log, "liquidation not recorded");
+            assert(log.loanId == loanId && log.liquidatorAdr.toLowerCase() == liquidator);
+            assert(log.swapStatus == "swapped" && log.profit == 1000 && log.pos == "short");
+            assert(sent.length == 1 && sent[0].to == C.contractSwaps.options.address);
+        });
+
+        it('should unwrap the received WRBTC except for the fractional inventory share', async () => {
+            const percent = conf.wrbtcInventoryPercent;
+            conf.wrbtcInventoryPercent = 12.5;
+            balances = ["0", "1000"];
+            C.web3.eth.getTransactionReceipt = async () => liquidationReceipt(conf.testTokenRBTC, conf.docToken);
+
+            const log = await Liquidator.addLiqLog("0x" + "02".repeat(32));
+            conf.wrbtcInventoryPercent = percent;
+            assert(log && log.pos == "long" && log.swapStatus == "swapped");
+            assert(sent.length == 2 && sent[1].to == conf.testTokenRBTC);
+
+            const amount = C.web3.eth.abi.decodeParameter("uint256", "0x" + sent[1].data.slice(10));
+            assert(amount == "875");
+        });
+    });
+});
+
+
+
+/**
+ * Builds the receipt of a liquidation with the encoded Liquidate event of the protocol
+ */
+function liquidationReceipt(loanToken, collateralToken) {
+    const abi = C.web3.eth.abi;
+    const data = abi.encodeParameters(
+        ["address", "address", "address", "uint256", "uint256", "uint256", "uint256"],
+        [conf.sovrynProtocolAdr, loanToken, collateralToken, "1", collateral, "1", "1"]
+    );
+    return {
+        logs: [{
+            address: conf.sovrynProtocolAdr,
+            topics: [
+                abi.encodeEventSignature("Liquidate(address,address,bytes32,address,address,address,uint256,uint256,uint256,uint256)"),
+                abi.encodeParameter("address", user),
+                abi.encodeParameter("address", liquidator),
+                loanId
+            ],
+            data: data
+        }]
+    };
+}
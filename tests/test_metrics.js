@@ -0,0 +1,57 @@
+/**
+ * Metrics tester
+ * Checks the rpc instrumentation with a provider stand-in and the exported text of a scrape
+ */
+import Metrics from '../controller/metrics';
+import Monitor from '../controller/monitor';
+import conf from '../config/config';
+const assert = require('assert');
+
+describe('Metrics', async () => {
+    describe('#Rpc calls', async () => {
+        it('should measure successful and count failed rpc calls', async () => {
+            const provider = {
+                send: (payload, cb) => {
+                    if (payload.method == "eth_fail") return cb(null, { id: payload.id, error: { message: "fail" } });
+                    cb(null, { id: payload.id, result: "0x1" });
+                }
+            };
+            Metrics.instrumentProvider(provider, "stand-in");
+
+            await new Promise(resolve => provider.send({ method: "eth_blockNumber", id: 1 }, resolve));
+            await new Promise(resolve => provider.send({ method: "eth_fail", id: 2 }, resolve));
+
+            const text = await Metrics.register.metrics();
+            assert(text.indexOf('watcher_rpc_duration_seconds_count{node="stand-in",method="eth_blockNumber",network="' + conf.network + '"} 1') != -1);
+            assert(text.indexOf('watcher_rpc_errors_total{node="stand-in",method="eth_fail",network="' + conf.network + '"} 1') != -1);
+        });
+    });
+
+    describe('#Scrape', async () => {
+        it('should export the scanner round and the liquidation queue', async () => {
+            Metrics.start({ "0x01": {}, "0x02": {} });
+            Metrics.scanCompleted("events", Date.now() - 2000, 42);
+
+            const text = await Metrics.getMetrics();
+            assert(text.indexOf('watcher_scan_positions{network="' + conf.network + '"} 42') != -1);
+            assert(text.indexOf('watcher_liquidation_queue_length{network="' + conf.network + '"} 2') != -1);
+            assert(text.indexOf('watcher_scans_total{type="events",network="' + conf.network + '"} 1') != -1);
+        });
+
+        it('should count arbitrage gains and losses separately', async () => {
+            Metrics.arbitrageCompleted("DOC", 3);
+            Metrics.arbitrageCompleted("DOC", -1);
+
+            const text = await Metrics.getMetrics();
+            assert(text.indexOf('watcher_arbitrage_gains_total{token="DOC",network="' + conf.network + '"} 3') != -1);
+            assert(text.indexOf('watcher_arbitrage_losses_total{token="DOC",network="' + conf.network + '"} 1') != -1);
+        });
+
+        it('should export the public node block read by the monitor', async () => {
+            Monitor.blockPublicNode = 123;
+
+            const text = await Metrics.getMetrics();
+            assert(text.indexOf('watcher_block_height{node="' + conf.publicNodeProvider + '",network="' + conf.network + '"} 123') != -1);
+        });
+    });
+});
@@ -0,0 +1,58 @@
+/**
+ * Node pool tester
+ * Replaces the configured nodes by local rpc stand-ins returning a fixed block number
+ */
+import NodePool from '../controller/nodePool';
+import Web3 from 'web3';
+const assert = require('assert');
+const http = require('http');
+
+const ports = [3911, 3912, 3913];
+const blocks = { 3911: 100, 3912: 100, 3913: 80 };
+var servers = [];
+
+describe('Node pool', async () => {
+    before('start rpc stand-ins', async () => {
+        for (let port of ports) {
+            const s = http.createServer((req, res) => {
+                let body = "";
+                req.on('data', (d) => body += d);
+                req.on('end', () => {
+                    const payload = JSON.parse(body);
+                    res.setHeader("Content-Type", "application/json");
+                    res.end(JSON.stringify({ jsonrpc: "2.0", id: payload.id, result: "0x" + blocks[port].toString(16) }));
+                });
+            });
+            await new Promise(resolve => s.listen(port, resolve));
+            servers.push(s);
+        }
+        //first node is not reachable
+        NodePool.nodes = [3910].concat(ports).map((port, i) => ({
+            url: "http://localhost:" + port,
+            priority: i,
+            provider: new Web3.providers.HttpProvider("http://localhost:" + port),
+            healthy: true
+        }));
+        NodePool.active = NodePool.nodes[0];
+    });
+
+    after(() => servers.forEach(s => s.close()));
+
+    it('should fail over to the next node', async () => {
+        const b = await new Web3(NodePool).eth.getBlockNumber();
+        assert(b == 100);
+        assert(!NodePool.nodes[0].healthy);
+        assert(NodePool.active.url == "http://localhost:3911");
+    });
+
+    it('should flag lagging nodes as unhealthy', async () => {
+        await NodePool.checkNodes();
+        assert.deepStrictEqual(NodePool.nodes.map(n => n.healthy), [false, true, true, false]);
+    });
+
+    it('should recover a node on the next health check', async () => {
+        blocks[3913] = 100;
+        await NodePool.checkNodes();
+        assert(NodePool.nodes[3].healthy);
+    });
+});
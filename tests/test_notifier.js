@@ -0,0 +1,111 @@
+/**
+ * Notifier tester
+ * All channels send to local stand-ins: one http server for the telegram api, the webhook and the slack webhook and a minimal smtp server
+ */
+import Notifier from '../controller/notifier';
+const assert = require('assert');
+const http = require('http');
+const net = require('net');
+
+const httpPort = 3901;
+const smtpPort = 3902;
+var httpServer, smtpServer;
+var received = [];
+var mails = [];
+
+describe('Notifier', async () => {
+    before('start local stand-ins', async () => {
+        httpServer = http.createServer((req, res) => {
+            let body = "";
+            req.on('data', (d) => body += d);
+            req.on('end', () => {
+                received.push({ url: req.url, body: JSON.parse(body) });
+                res.setHeader("Content-Type", "application/json");
+                res.end(JSON.stringify({ ok: true, result: {} }));
+            });
+        });
+        smtpServer = net.createServer((socket) => {
+            let data = false, mail = "";
+            socket.write("220 localhost\r\n");
+            socket.on('data', (d) => {
+                const lines = d.toString();
+                if (data) {
+                    mail += lines;
+                    if (mail.indexOf("\r\n.\r\n") != -1) {
+                        data = false;
+                        mails.push(mail);
+                        socket.write("250 queued\r\n");
+                    }
+                }
+                else if (/^EHLO|^HELO/i.test(lines)) socket.write("250 localhost\r\n");
+                else if (/^DATA/i.test(lines)) {
+                    data = true;
+                    socket.write("354 go ahead\r\n");
+                }
+                else if (/^QUIT/i.test(lines)) socket.end("221 bye\r\n");
+                else socket.write("250 ok\r\n");
+            });
+        });
+        await new Promise(resolve => httpServer.listen(httpPort, resolve));
+        await new Promise(resolve => smtpServer.listen(smtpPort, resolve));
+
+        Notifier.init({
+            channels: {
+                telegram: { type: "telegram", token: "123:abc", chatId: -1, apiRoot: "http://localhost:" + httpPort },
+                webhook: { type: "webhook", url: "http://localhost:" + httpPort + "/webhook" },
+                slack: { type: "slack", url: "http://localhost:" + httpPort + "/slack" },
+                email: { type: "email", host: "localhost", port: smtpPort, secure: false, from: "watcher@localhost", to: "ops@localhost" },
+                disabled: { type: "slack", url: "" }
+            },
+            routes: [
+                { modules: ["*"], severities: ["*"], channels: ["telegram", "disabled"] },
+                { modules: ["liquidator"], severities: ["*"], channels: ["webhook"] },
+                { modules: ["*"], severities: ["error"], channels: ["slack", "email"] }
+            ]
+        });
+    });
+
+    after('stop local stand-ins', () => {
+        httpServer.close();
+        smtpServer.close();
+    });
+
+    beforeEach(() => {
+        received = [];
+        mails = [];
+    });
+
+    it('should skip disabled channels', () => {
+        assert(!Notifier.channels.disabled);
+        assert(Object.keys(Notifier.channels).length == 4);
+    });
+
+    it('should route info messages of the monitor to telegram only', async () => {
+        await Notifier.info("monitor", "hello");
+        assert(received.length == 1);
+        assert(received[0].url == "/bot123:abc/sendMessage");
+        assert(received[0].body.text == "hello");
+        assert(mails.length == 0);
+    });
+
+    it('should route liquidator messages to telegram and the webhook', async () => {
+        await Notifier.warning("liquidator", "liquidation skipped");
+        const webhook = received.find(r => r.url == "/webhook");
+        assert(received.length == 2);
+        assert(webhook.body.module == "liquidator" && webhook.body.severity == "warning");
+    });
+
+    it('should route errors to all channels', async () => {
+        await Notifier.error("liquidator", "liquidation failed");
+        const slack = received.find(r => r.url == "/slack");
+        assert(received.length == 3);
+        assert(slack.body.text == "[error] liquidator: liquidation failed");
+        assert(mails.length == 1 && mails[0].indexOf("liquidation failed") != -1);
+    });
+
+    it('should not fail if a channel is not reachable', async () => {
+        Notifier.channels.webhook.url = "http://localhost:1/webhook";
+        await Notifier.error("liquidator", "liquidation failed");
+        assert(received.length == 2);
+    });
+});
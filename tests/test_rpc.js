@@ -0,0 +1,62 @@
+/**
+ * Rpc layer tester
+ * Runs stand-in calls through the wrapper, no node needed
+ */
+import Rpc, { RpcError } from '../controller/rpc';
+import conf from '../config/config';
+const assert = require('assert');
+
+describe('Rpc', async () => {
+    before(() => {
+        conf.rpcBackoff = 0.01;
+        conf.rpcTimeout = 0.2;
+        conf.rpcRetries = 3;
+    });
+
+    describe('#Error classification', async () => {
+        it('should classify rpc errors', () => {
+            assert.equal(Rpc.classify(new Error("CONNECTION ERROR: Couldn't connect to node https://mainnet.sovryn.app/rpc.")), "network");
+            assert.equal(Rpc.classify(new Error("Invalid JSON RPC response: \"\"")), "network");
+            assert.equal(Rpc.classify(new Error("Returned error: VM execution error: transaction reverted")), "vm");
+            assert.equal(Rpc.classify(new Error("Returned error: execution reverted: healthy position")), "revert");
+            assert.equal(Rpc.classify(new Error("Request failed with status code 429")), "rateLimited");
+            assert.equal(Rpc.classify(new Error("invalid address")), "invalid");
+        });
+    });
+
+    describe('#Retries', async () => {
+        it('should retry transient errors', async () => {
+            let calls = 0;
+            const res = await Rpc.execute(async () => {
+                if (++calls < 3) throw new Error("Returned error: VM execution error: transaction reverted");
+                return "ok";
+            }, "test");
+            assert.equal(res, "ok");
+            assert.equal(calls, 3);
+        });
+
+        it('should not retry reverts', async () => {
+            let calls = 0;
+            await assert.rejects(Rpc.execute(async () => {
+                calls++;
+                throw new Error("Returned error: execution reverted: loan is closed");
+            }, "test"), (e) => e instanceof RpcError && e.type == "revert" && !e.transient);
+            assert.equal(calls, 1);
+        });
+
+        it('should time out and give up after the last retry', async () => {
+            let calls = 0;
+            await assert.rejects(Rpc.execute(() => { calls++; return new Promise(() => {}); }, "test"), (e) => e.type == "timeout");
+            assert.equal(calls, conf.rpcRetries + 1);
+        });
+    });
+
+    describe('#Rate limit', async () => {
+        it('should space the calls', async () => {
+            conf.rpcRateLimit = 20;
+            const start = Date.now();
+            await Promise.all([1, 2, 3, 4, 5].map(() => Rpc.execute(async () => true, "test")));
+            assert(Date.now() - start >= 4 * 50 - 10);
+        });
+    });
+});
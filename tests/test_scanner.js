@@ -6,6 +6,8 @@ import abiComplete from '../config/abiComplete';
 import PosScanner from '../controller/scanner';
 import C from '../controller/contract';
 import U from '../util/helper';
+import conf from '../config/config';
+import dbCtrl from '../controller/db';
 const assert = require('assert');
 const abiDecoder = require('abi-decoder');
 abiDecoder.addABI(abiComplete);
@@ -16,6 +18,7 @@ let liquidations = {};
 describe('Scanner', async () => {
     describe('#Open positions', async () => {
         before('init', async () => {
+            await dbCtrl.initDb(conf.db);
             PosScanner.positions=positions;
             PosScanner.liquidations=liquidations;
             PosScanner.positionsTmp={};
@@ -59,6 +62,33 @@ describe('Scanner', async () => {
                 }
             }
         });
+        it('should refresh the loans touched by events of the last 1000 blocks', async () => {
+            const b = await PosScanner.getCurrentBlock();
+            const loanIds = await PosScanner.loadTouchedLoans(b - 1000, b);
+            console.log(loanIds.length + " loans touched since block " + (b - 1000));
+            assert(Array.isArray(loanIds));
+
+            for (let loanId of loanIds) {
+                await PosScanner.refreshPosition(loanId, b);
+                if (positions[loanId]) assert(positions[loanId].principal != "0");
+            }
+        });
+
+        it('should remove a recovered loan from the liquidation queue', async () => {
+            const loan = { loanId: "0x01", maxLiquidatable: "100", currentMargin: "4000000000000000000", maintenanceMargin: "15000000000000000000" };
+            PosScanner.checkLiquidation(loan);
+            assert(liquidations["0x01"]);
+
+            PosScanner.checkLiquidation({ ...loan, maxLiquidatable: "0", currentMargin: "20000000000000000000" });
+            assert(!liquidations["0x01"]);
+        });
+
+        it('should load the cached positions from the db', async () => {
+            const cached = await dbCtrl.getPositions();
+            console.log(cached.length + " positions cached");
+            for (let l of cached) assert(l.loanId && l.maintenanceMargin);
+        });
+
         /*
         it('should find open positions with margin < 20%', async () => {
             for(let p in PosScanner.positions){
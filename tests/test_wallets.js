@@ -7,6 +7,8 @@ import conf from '../config/config';
 import C from '../controller/contract';
 import A from '../secrets/accounts';
 import Wallet from '../controller/wallet';
+import NonceManager from '../controller/nonceManager';
+import TokenRegistry from '../controller/tokenRegistry';
 import U from '../util/helper';
 
 var liqQueue={};
@@ -103,6 +105,53 @@ describe('Wallet', async () => {
 
     });
 
+    describe('#Token registry', async () => {
+        it('should load the underlying tokens of all loan pools', async () => {
+            await TokenRegistry.init();
+            const tokens = TokenRegistry.list();
+            console.log(tokens.map(t => t.symbol + " " + t.address + " " + t.decimals));
+            assert(TokenRegistry.get(conf.testTokenRBTC) && TokenRegistry.get(conf.docToken));
+            for (let t of tokens) assert(t.contract && t.decimals > 0);
+        });
+
+        it('should return the balances of all registered tokens', async () => {
+            for (let t of TokenRegistry.list()) {
+                const bal = await C.getWalletTokenBalance(A.liquidator[0].adr, t.address);
+                console.log(t.symbol + ": " + TokenRegistry.fromUnits(bal, t.address));
+                assert(bal !== false);
+            }
+        });
+    });
+
+    describe('#Nonces', async () => {
+        it('should hand out consecutive nonces starting at the pending tx count', async () => {
+            const w = A.liquidator[0].adr;
+            const count = await C.web3.eth.getTransactionCount(w, 'pending');
+            const nonces = await Promise.all([0, 1, 2].map(() => NonceManager.getNonce(w)));
+            console.log("nonces: " + nonces);
+            assert(nonces.sort((a, b) => a - b).join() == [count, count + 1, count + 2].join());
+            assert(NonceManager.getPendingCount(w) == 3);
+        });
+
+        it('should resync with the node after the nonces were not used', async () => {
+            const w = A.liquidator[0].adr;
+            const count = await C.web3.eth.getTransactionCount(w, 'pending');
+            for (let i = 0; i < 3; i++) await NonceManager.handleError(w, count + i);
+            assert(NonceManager.getPendingCount(w) == 0);
+            assert(await NonceManager.getNonce(w) == count);
+            NonceManager.release(w, count);
+        });
+
+        it('should start at the nonce stored on shutdown if it is ahead of the node', async () => {
+            const w = "0x000000000000000000000000000000000000dEaD";
+            const count = await C.web3.eth.getTransactionCount(w, 'pending');
+            NonceManager.restore(w, count + 2);
+            assert(await NonceManager.getNonce(w) == count + 2);
+            NonceManager.release(w, count + 2);
+            assert(await NonceManager.sync(w) == count);
+        });
+    });
+
     /*
     describe('#Send tx', async () => {
         it('should send 4 tx at once', async () => {
@@ -6,6 +6,8 @@
 import conf from '../config/config';
 import C from '../controller/contract';
 import W from '../secrets/accounts';
+import TokenRegistry from '../controller/tokenRegistry';
+import db from '../controller/db';
 
 
 const amount = C.web3.utils.toWei("1000000000", 'ether');
@@ -13,6 +15,8 @@ const amount = C.web3.utils.toWei("1000000000", 'ether');
 approve();
 
 async function approve() {
+    //the approvals are sent through the tx tracker, which stores every attempt in the db
+    await db.initDb(conf.db);
     await approveLiquidatorWallets();
     await approveArbitrageWallets();
 }
@@ -55,6 +59,15 @@ async function approveLiquidatorWallets() {
         //should approve the sUSD IToken contract to spend sUSD (doc) for the main account
         approved = await C.approveToken(C.contractTokenSUSD, from, conf.loanTokenSUSD, amount);
         console.log(approved);
+
+        //should approve the Sovryn contract to spend all other loan pool tokens (token registry)
+        await TokenRegistry.init();
+        for (let token of TokenRegistry.list()) {
+            if (token.address.toLowerCase() == conf.testTokenRBTC.toLowerCase() || token.address.toLowerCase() == conf.docToken.toLowerCase()) continue;
+            console.log(from + " approving " + conf.sovrynProtocolAdr + " for " + amount + " " + token.symbol);
+            approved = await C.approveToken(token.contract, from, conf.sovrynProtocolAdr, amount);
+            console.log(approved);
+        }
     }
     return;
 }
@@ -79,4 +92,17 @@ async function approveArbitrageWallets() {
     //should approve the wRBTC wrapper contract to spend Doc for the main account
     approved = await C.approveToken(C.contractTokenSUSD, from, conf.wRbtcWrapper, amount);
     console.log(approved);
+
+    //should approve the swap network and the wRBTC wrapper contract to spend the other tokens of the arbitrage pairs
+    await TokenRegistry.init();
+    const symbols = new Set(conf.arbitragePairs.filter(p => p.enabled).reduce((l, p) => l.concat([p.base, p.quote]), []));
+    for (let symbol of symbols) {
+        const token = TokenRegistry.getBySymbol(symbol);
+        if (!token || TokenRegistry.isWrbtc(token.address) || token.address.toLowerCase() == conf.docToken.toLowerCase()) continue;
+        for (let spender of [conf.swapsImpl, conf.wRbtcWrapper]) {
+            console.log(from + " approving " + spender + " for " + amount + " " + token.symbol);
+            approved = await C.approveToken(token.contract, from, spender, amount);
+            console.log(approved);
+        }
+    }
 }
\ No newline at end of file
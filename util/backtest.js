@@ -0,0 +1,37 @@
+/**
+ * Arbitrage backtest command
+ * Replays the recorded price history of a pair with alternative thresholds and trade sizes, see controller/backtest.js
+ *
+ * npm run backtest -- [network] [pair] [thresholds] [sizes] [from] [to]
+ * eg. npm run backtest -- mainnet WRBTC/DOC 1,2,3 0.01,0.05 2020-11-01
+ * thresholds in %, sizes in base tokens, both comma separated. Default: threshold and max trade size of the pair from conf.arbitragePairs
+ * from/to: ISO date, optional
+ */
+import conf from '../config/config';
+import db from '../controller/db';
+import Backtest from '../controller/backtest';
+
+backtest();
+
+async function backtest() {
+    const name = process.argv[3] || conf.arbitragePairs[0].base + "/" + conf.arbitragePairs[0].quote;
+    const pair = conf.arbitragePairs.find(p => p.base + "/" + p.quote == name);
+    const list = (arg, def) => arg ? arg.split(",").map(parseFloat) : [def];
+    const thresholds = list(process.argv[4], pair && pair.threshold);
+    const sizes = list(process.argv[5], pair && pair.tradeSize.base.max);
+    const from = process.argv[6] ? new Date(process.argv[6]) : null;
+    const to = process.argv[7] ? new Date(process.argv[7]) : null;
+
+    if (thresholds.concat(sizes).some(v => !(v > 0)) || (from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+        console.error("Usage: npm run backtest -- [network] [pair] [thresholds] [sizes] [from] [to]");
+        process.exit(1);
+    }
+
+    await db.initDb(conf.db);
+    const results = await Backtest.run(name, thresholds, sizes, from, to);
+
+    console.log("Backtest of " + name + ", profit in " + name.split("/")[1]);
+    console.table(results);
+    await db.close();
+    process.exit(0);
+}
@@ -19,6 +19,25 @@ class Util {
         });
         return params;
     }
+
+    /**
+     * If price difference between p1 and p2 >= threshold return Min(p1,p2)
+     * else return undefined
+     * Shared by the arbitrage controller and the backtester
+     */
+    calcArbitrage(p1, p2, threshold) {
+        const smallerAmount = Math.min(p1, p2);
+        const arbitrage = Math.abs(p1 - p2) / smallerAmount * 100;
+        if (arbitrage >= threshold) {
+            console.log("Arbitrage (%): "+arbitrage);
+            if(smallerAmount==p1) console.log("Buy base token!")
+            else console.log("Buy quote token");
+
+            return smallerAmount;
+        }
+        console.log(arbitrage+ " % price difference is too small for arbitrage");
+        return;
+    }
 }
 
 